@@ -0,0 +1,114 @@
+// Compares the brute force bullet/enemy check Game.update() used to do with
+// the SpatialHash broadphase it does now, then times whole simulation steps
+// with that many enemies alive.
+//
+//     $ node bench-collisions.js
+const {
+    Random,
+    V2,
+    SpatialHash,
+    Simulation,
+    Enemy,
+    Bullet,
+    BULLET_RADIUS,
+    ENEMY_RADIUS,
+    COLLISION_CELL_SIZE,
+} = require("./game.js");
+
+const COUNTS = [250, 1000, 4000, 16000];
+const BRUTE_FORCE_MAX_COUNT = 4000;
+// Same density as the area around the player in a late run
+const ENTITIES_PER_SQUARE_UNIT = 1000 / (6000 * 6000);
+const REPEATS = 5;
+
+function scatter(random, count) {
+    const half = Math.sqrt(count / ENTITIES_PER_SQUARE_UNIT) / 2;
+    const points = [];
+    for (let i = 0; i < count; ++i) {
+        points.push({pos: new V2(random.between(-half, half), random.between(-half, half))});
+    }
+    return points;
+}
+
+function bruteForce(enemies, bullets) {
+    let hits = 0;
+    for (let enemy of enemies) {
+        for (let bullet of bullets) {
+            if (enemy.pos.dist(bullet.pos) <= BULLET_RADIUS + ENEMY_RADIUS) {
+                hits += 1;
+            }
+        }
+    }
+    return hits;
+}
+
+function broadphase(grid, enemies, bullets) {
+    let hits = 0;
+    const candidates = [];
+    grid.clear();
+    for (let bullet of bullets) {
+        grid.insert(bullet);
+    }
+    for (let enemy of enemies) {
+        for (let bullet of grid.query(enemy.pos, BULLET_RADIUS + ENEMY_RADIUS, candidates)) {
+            if (enemy.pos.dist(bullet.pos) <= BULLET_RADIUS + ENEMY_RADIUS) {
+                hits += 1;
+            }
+        }
+    }
+    return hits;
+}
+
+function time(f) {
+    let best = Infinity;
+    let result;
+    for (let i = 0; i < REPEATS; ++i) {
+        const start = process.hrtime.bigint();
+        result = f();
+        best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return [best, result];
+}
+
+// Every repeat starts from a fresh simulation since a step kills and
+// despawns enemies. At this density about every enemy is hit, so the time
+// includes the particle bursts of the kills.
+function simulationStep(count) {
+    let best = Infinity;
+    for (let i = 0; i < REPEATS; ++i) {
+        const sim = new Simulation({seed: count});
+        const random = new Random(count);
+        for (let {pos} of scatter(random, count)) {
+            sim.game.enemies.push(new Enemy().reset(pos));
+        }
+        for (let {pos} of scatter(random, count)) {
+            sim.game.bullets.push(new Bullet().reset(pos, V2.polar(BULLET_RADIUS, random.angle())));
+        }
+
+        const start = process.hrtime.bigint();
+        sim.step();
+        best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return best;
+}
+
+const grid = new SpatialHash(COLLISION_CELL_SIZE);
+console.log("entities  brute force  broadphase  full step");
+for (let count of COUNTS) {
+    const random = new Random(count);
+    const enemies = scatter(random, count);
+    const bullets = scatter(random, count);
+
+    const [gridMs, gridHits] = time(() => broadphase(grid, enemies, bullets));
+    let bruteMs = "-";
+    if (count <= BRUTE_FORCE_MAX_COUNT) {
+        const [ms, hits] = time(() => bruteForce(enemies, bullets));
+        if (hits !== gridHits) {
+            throw new Error(`Broadphase found ${gridHits} hits but brute force found ${hits}`);
+        }
+        bruteMs = `${ms.toFixed(2)}ms`;
+    }
+    const stepMs = simulationStep(count);
+
+    console.log(`${String(count).padStart(8)}  ${bruteMs.padStart(11)}  ${(gridMs.toFixed(2) + "ms").padStart(10)}  ${(stepMs.toFixed(2) + "ms").padStart(9)}`);
+}
@@ -0,0 +1,3288 @@
+// The simulation of the game. It does not touch the DOM so besides being
+// loaded by index.html before index.js it can be required from Node:
+//
+//     const {Simulation, InputType} = require("./game.js");
+//     const sim = new Simulation({seed: 69});
+//     sim.step([[InputType.KeyDown, "KeyW"]]);
+//     console.log(sim.snapshot());
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Mulberry32. Every random decision in the simulation goes through an
+// instance of this so the same seed and the same inputs replay the same run.
+class Random {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    between(min = 0, max = 1) {
+        return this.next() * (max - min) + min;
+    }
+
+    angle() {
+        return this.between(0, 2 * Math.PI);
+    }
+}
+
+class Color {
+    constructor(r, g, b, a) {
+        this.r = r;
+        this.g = g;
+        this.b = b;
+        this.a = a;
+    }
+
+    toRgba() {
+        return `rgba(${this.r * 255}, ${this.g * 255}, ${this.b * 255}, ${this.a})`;
+    }
+
+    withAlpha(a) {
+        return new Color(this.r, this.g, this.b, a);
+    }
+
+    // withAlpha() in place, for the colors that change every frame
+    setWithAlpha(that, a) {
+        this.r = that.r;
+        this.g = that.g;
+        this.b = that.b;
+        this.a = a;
+        return this;
+    }
+
+    grayScale(t = 1.0) {
+        let x = (this.r + this.g + this.b) / 3;
+        return new Color(
+            lerp(this.r, x, t),
+            lerp(this.g, x, t),
+            lerp(this.b, x, t),
+            this.a);
+    }
+
+    static hex(hexcolor) {
+        let matches =
+            hexcolor.match(/#([0-9a-z]{2})([0-9a-z]{2})([0-9a-z]{2})/i);
+        if (matches) {
+            let [, r, g, b] = matches;
+            return new Color(parseInt(r, 16) / 255.0,
+                             parseInt(g, 16) / 255.0,
+                             parseInt(b, 16) / 255.0,
+                             1.0);
+        } else {
+            throw new Error(`Could not parse ${hexcolor} as color`);
+        }
+    }
+}
+
+// Optional look of a Renderer.fillCircle() on top of its color. The outline
+// is drawn inside the radius and the glow fades out past it in the color of
+// the edge. Widths are in world units.
+class CircleStyle {
+    constructor({outlineWidth = 0, outlineColor = null, glowRadius = 0} = {}) {
+        if (outlineWidth > 0 && outlineColor === null) {
+            throw new Error(`CircleStyle with an outline needs an outline color`);
+        }
+        this.outlineWidth = outlineWidth;
+        this.outlineColor = outlineColor;
+        this.glowRadius = glowRadius;
+    }
+}
+
+class V2 {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    add(that) {
+        return new V2(this.x + that.x, this.y + that.y);
+    }
+
+    sub(that) {
+        return new V2(this.x - that.x, this.y - that.y);
+    }
+
+    scale(s) {
+        return new V2(this.x * s, this.y * s);
+    }
+
+    len() {
+        return Math.sqrt(this.x * this.x + this.y * this.y);
+    }
+
+    normalize() {
+        const n = this.len();
+        return n === 0 ? new V2(0, 0) : new V2(this.x / n, this.y / n);
+    }
+
+    dist(that) {
+        const dx = this.x - that.x;
+        const dy = this.y - that.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    lerp(that, t) {
+        return new V2(lerp(this.x, that.x, t), lerp(this.y, that.y, t));
+    }
+
+    // The methods below modify the vector in place and return it for chaining.
+    // The simulation uses them on its hot paths to avoid allocating.
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+
+    copy(that) {
+        return this.set(that.x, that.y);
+    }
+
+    addAssign(that) {
+        return this.set(this.x + that.x, this.y + that.y);
+    }
+
+    subAssign(that) {
+        return this.set(this.x - that.x, this.y - that.y);
+    }
+
+    scaleAssign(s) {
+        return this.set(this.x * s, this.y * s);
+    }
+
+    addScaled(that, s) {
+        return this.set(this.x + that.x * s, this.y + that.y * s);
+    }
+
+    normalizeAssign() {
+        const n = this.len();
+        return n === 0 ? this.set(0, 0) : this.set(this.x / n, this.y / n);
+    }
+
+    setLerp(a, b, t) {
+        return this.set(lerp(a.x, b.x, t), lerp(a.y, b.y, t));
+    }
+
+    setPolar(mag, dir) {
+        return this.set(Math.cos(dir) * mag, Math.sin(dir) * mag);
+    }
+
+    static polar(mag, dir) {
+        return new V2(Math.cos(dir) * mag, Math.sin(dir) * mag);
+    }
+}
+
+// Free list of objects the simulation would otherwise allocate every frame.
+// Whatever acquire() returns still has the state of its previous life, so the
+// caller is expected to reset() it.
+class Pool {
+    free = [];
+
+    constructor(create) {
+        this.create = create;
+    }
+
+    acquire() {
+        return this.free.pop() ?? this.create();
+    }
+
+    release(item) {
+        this.free.push(item);
+    }
+
+    releaseAll(items) {
+        for (let item of items) {
+            this.free.push(item);
+        }
+        items.length = 0;
+    }
+}
+
+// Drops the items for which alive() is false in place, keeping the order of
+// the rest, and hands them back to the pool.
+function removeDead(items, alive, pool) {
+    let n = 0;
+    for (let i = 0; i < items.length; ++i) {
+        const item = items[i];
+        if (alive(item)) {
+            items[n++] = item;
+        } else {
+            pool.release(item);
+        }
+    }
+    items.length = n;
+}
+
+const PLAYER_COLOR = Color.hex("#f43841");
+const PLAYER_SPEED = 1000;
+const PLAYER_RADIUS = 69;
+const PLAYER_MAX_HEALTH = 100;
+// Fraction of PLAYER_MAX_HEALTH below which the health counts as low
+const PLAYER_LOW_HEALTH = 0.3;
+const PLAYER_TRAIL_RATE = 3.0;
+const PLAYER_ACCELERATION = PLAYER_SPEED * 8.0;
+const PLAYER_FRICTION = PLAYER_SPEED * 5.0;
+const PLAYER_DASH_SPEED = PLAYER_SPEED * 3.5;
+const PLAYER_DASH_DURATION = 0.15;
+const PLAYER_DASH_COOLDOWN = 0.8;
+const PLAYER_DASH_INVULNERABILITY = 0.3;
+const PLAYER_DASH_TRAIL_COLOR = Color.hex("#ffffff");
+const PLAYER_DASH_TRAIL_RATE = 4.0;
+const PLAYER_SPAWN_ANIMATION_SPEED = PLAYER_RADIUS * 4;
+const PLAYER_SPAWN_PROTECTION = 2.0;
+const PLAYER_DEATH_BURSTS = 8;
+// The world slows down to this fraction of its speed over
+// PLAYER_DEATH_SLOWDOWN seconds once the player dies
+const PLAYER_DEATH_TIME_SCALE = 1 / 50;
+const PLAYER_DEATH_SLOWDOWN = 1.0;
+const PLAYER_DEATH_MESSAGE_DELAY = 1.0;
+const TUTORIAL_POPUP_SPEED = 1.7;
+const BULLET_RADIUS = 42;
+const BULLET_SPEED = 2000;
+const BULLET_LIFETIME = 5.0;
+const BULLET_HOMING_RANGE = 1200.0;
+const WEAPON_SWITCH_COOLDOWN = 0.15;
+const WEAPON_CHARGE_RING = PLAYER_RADIUS * 0.5;
+// How far ahead of the player an aim stick puts the aim
+const STICK_AIM_DISTANCE = 600.0;
+const CROSSHAIR_RADIUS = 36.0;
+const CROSSHAIR_DOT_RADIUS = 6.0;
+const CROSSHAIR_COLOR = Color.hex("#ffffff").withAlpha(0.8);
+const CROSSHAIR_STYLE = new CircleStyle({outlineWidth: 6, outlineColor: CROSSHAIR_COLOR});
+const ENEMY_SPEED = PLAYER_SPEED / 3;
+const ENEMY_RADIUS = PLAYER_RADIUS;
+const ENEMY_SPAWN_ANIMATION_SPEED = ENEMY_RADIUS * 8;
+const ENEMY_COLOR = Color.hex("#9e95c7");
+const ENEMY_SPAWN_DISTANCE = 1500.0;
+const ENEMY_DESPAWN_DISTANCE = ENEMY_SPAWN_DISTANCE * 2;
+const ENEMY_DAMAGE = PLAYER_MAX_HEALTH / 5;
+const ENEMY_KILL_HEAL = PLAYER_MAX_HEALTH / 10;
+const ENEMY_KILL_SCORE = 100;
+const ENEMY_TRAIL_RATE = 2.0;
+const ENEMY_HIT_FLASH_DURATION = 0.1;
+const ENEMY_HIT_COLOR = Color.hex("#ffffff");
+const ENEMY_BULLET_RADIUS = 24;
+const ENEMY_BULLET_SPEED = 900;
+const ENEMY_BULLET_DAMAGE = PLAYER_MAX_HEALTH / 10;
+const ENEMY_BULLET_COLOR = Color.hex("#ffdd33");
+const BOSS_RADIUS = ENEMY_RADIUS * 3;
+const BOSS_CONTACT_COOLDOWN = 1.0;
+const BOSS_PHASE_FLASH_DURATION = 0.5;
+const BOSS_KILL_HEAL = PLAYER_MAX_HEALTH / 2;
+const BOSS_DEATH_DURATION = 2.0;
+const BOSS_DEATH_BURST_INTERVAL = 0.12;
+const BOSS_DEATH_FINAL_BURSTS = 12;
+const PARTICLES_COUNT_RANGE = [0, 50];
+const PARTICLE_RADIUS_RANGE = [10.0, 20.0];
+const PARTICLE_MAG_RANGE = [0, BULLET_SPEED];
+const PARTICLE_MAX_LIFETIME = 1.0;
+const PARTICLE_LIFETIME_RANGE = [0, PARTICLE_MAX_LIFETIME];
+const MESSAGE_COLOR = Color.hex("#ffffff");
+const HUD_COLOR = MESSAGE_COLOR.withAlpha(0.6);
+const HUD_MARGIN = 48;
+const WAVE_BANNER_FADE_SPEED = 2.0;
+const HUD_LINE_HEIGHT = HUD_MARGIN;
+const WEAPON_HUD_Y = HUD_MARGIN * 2;
+const POWER_UP_BAR_WIDTH = 200;
+const POWER_UP_BAR_HEIGHT = 8;
+const BOSS_BAR_LABEL_HEIGHT = 60;
+const BOSS_BAR_WIDTH = 800;
+const BOSS_BAR_HEIGHT = 24;
+const BOSS_BAR_MARK_WIDTH = 4;
+const BOSS_BAR_BACKGROUND_COLOR = Color.hex("#000000").withAlpha(0.5);
+const PICKUP_RADIUS = 36;
+const PICKUP_DROP_CHANCE = 0.06;
+const PICKUP_BOSS_DROPS = 3;
+const PICKUP_LIFETIME = 10.0;
+const PICKUP_BLINK_TIME = 3.0;
+const PICKUP_BLINK_RATE = 8.0;
+const PICKUP_STYLE = new CircleStyle({outlineWidth: 8, outlineColor: MESSAGE_COLOR, glowRadius: PICKUP_RADIUS});
+const FORMATION_SPACING = ENEMY_RADIUS * 3;
+const FORMATION_CLUSTER_RADIUS = ENEMY_RADIUS * 4;
+const TRAIL_COOLDOWN = 1 / 60;
+const DAMAGE_EFFECT_DURATION = 0.5;
+// Seconds between the warning beeps at PLAYER_LOW_HEALTH and close to death
+const LOW_HEALTH_BEEP_SLOW = 1.2;
+const LOW_HEALTH_BEEP_FAST = 0.4;
+// Enemies around the player at which the music is at full intensity
+const MUSIC_MAX_ENEMIES = 30;
+// How much of the intensity of the music comes from missing health
+const MUSIC_HEALTH_INTENSITY = 0.4;
+const CAMERA_FOLLOW_RATE = 1.0;
+const CAMERA_DEADZONE = 0.0;
+const CAMERA_LOOK_AHEAD = 0.25;
+const CAMERA_LOOK_AHEAD_MAX = 400.0;
+const CAMERA_TRAUMA_DECAY = 1.5;
+const CAMERA_TRAUMA_HIT = 0.6;
+const CAMERA_TRAUMA_KILL = 0.2;
+const CAMERA_SHAKE_MAX_OFFSET = 40.0;
+const CAMERA_SHAKE_FREQUENCY = 20.0;
+const CAMERA_ZOOM_RATE = 1.0;
+const CAMERA_MIN_ZOOM = 0.7;
+const CAMERA_DENSITY_RADIUS = 1200.0;
+// Enemies within CAMERA_DENSITY_RADIUS at which the camera is zoomed out all the way
+const CAMERA_DENSITY_MAX_COUNT = 40;
+const SIMULATION_STEP = 1 / 60;
+const COLLISION_CELL_SIZE = 256;
+
+// Everything the player can do with a button. Keys, mouse buttons and
+// gamepad buttons are mapped to these by Bindings.
+const Action = Object.freeze({
+    "MoveUp": 0,
+    "MoveDown": 1,
+    "MoveLeft": 2,
+    "MoveRight": 3,
+    "Fire": 4,
+    "Dash": 5,
+    "PreviousWeapon": 6,
+    "NextWeapon": 7,
+    "Pause": 8,
+    "Restart": 9,
+});
+const ACTION_NAMES = Object.keys(Action);
+
+// MoveUp is MOVE UP
+function actionLabel(action) {
+    return ACTION_NAMES[action].replace(/([a-z])([A-Z])/g, "$1 $2").toUpperCase();
+}
+
+const ACTION_DIRECTIONS = [
+    [Action.MoveUp, new V2(0, -1.0)],
+    [Action.MoveDown, new V2(0, 1.0)],
+    [Action.MoveLeft, new V2(-1.0, 0)],
+    [Action.MoveRight, new V2(1.0, 0)],
+];
+
+// Uniform grid over the whole plane used as the broadphase of every collision
+// check. Items are bucketed by the cell their pos falls in, so query() has to
+// be given the largest distance at which something can still collide.
+class SpatialHash {
+    cells = new Map();
+
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+    }
+
+    // Cells 65536 apart share a key. That only costs a few extra candidates
+    // since callers do the exact test anyway.
+    cellKey(cellX, cellY) {
+        return ((cellX & 0xFFFF) << 16) | (cellY & 0xFFFF);
+    }
+
+    // Cells stay allocated from frame to frame. Only the ones that were empty
+    // for a whole frame are dropped so the map does not grow as the player
+    // travels.
+    clear() {
+        this.cells.forEach((cell, key, cells) => {
+            if (cell.length == 0) {
+                cells.delete(key);
+            } else {
+                cell.length = 0;
+            }
+        });
+    }
+
+    insert(item) {
+        const key = this.cellKey(
+            Math.floor(item.pos.x / this.cellSize),
+            Math.floor(item.pos.y / this.cellSize));
+        let cell = this.cells.get(key);
+        if (cell === undefined) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(item);
+    }
+
+    // Fills out with every item that may be within range of pos
+    query(pos, range, out) {
+        out.length = 0;
+        const minX = Math.floor((pos.x - range) / this.cellSize);
+        const maxX = Math.floor((pos.x + range) / this.cellSize);
+        const minY = Math.floor((pos.y - range) / this.cellSize);
+        const maxY = Math.floor((pos.y + range) / this.cellSize);
+        for (let cellX = minX; cellX <= maxX; ++cellX) {
+            for (let cellY = minY; cellY <= maxY; ++cellY) {
+                const cell = this.cells.get(this.cellKey(cellX, cellY));
+                if (cell !== undefined) {
+                    for (let item of cell) {
+                        out.push(item);
+                    }
+                }
+            }
+        }
+        return out;
+    }
+}
+
+// Shared by every render() below. Renderers never keep the center or color
+// they are given so there is no need for fresh ones per circle.
+const renderPos = new V2(0, 0);
+const renderColor = new Color(0, 0, 0, 0);
+
+class Particle {
+    pos = new V2(0, 0);
+    prevPos = new V2(0, 0);
+    vel = new V2(0, 0);
+
+    reset(pos, vel, lifetime, radius, color) {
+        this.pos.copy(pos);
+        this.prevPos.copy(pos);
+        this.vel.copy(vel);
+        this.lifetime = lifetime;
+        this.radius = radius;
+        this.color = color;
+        return this;
+    }
+
+    render(renderer, alpha) {
+        const a = this.lifetime / PARTICLE_MAX_LIFETIME;
+        renderer.fillCircle(renderPos.setLerp(this.prevPos, this.pos, alpha), this.radius,
+                            renderColor.setWithAlpha(this.color, a));
+    }
+
+    update(dt) {
+        this.prevPos.copy(this.pos);
+        this.pos.addScaled(this.vel, dt);
+        this.lifetime -= dt;
+    }
+}
+
+const particleBurstVel = new V2(0, 0);
+
+// TODO(#2): burst particle in a particular direction;
+function particleBurst(random, particles, pool, center, color) {
+    const N = random.between(...PARTICLES_COUNT_RANGE);
+    for (let i = 0; i < N; ++i) {
+        particles.push(pool.acquire().reset(
+            center,
+            particleBurstVel.setPolar(random.between(...PARTICLE_MAG_RANGE), random.angle()),
+            random.between(...PARTICLE_LIFETIME_RANGE),
+            random.between(...PARTICLE_RADIUS_RANGE),
+            color));
+    }
+}
+
+const EnemyBehavior = Object.freeze({
+    // Heads straight for the player
+    "Chase": 0,
+    // Approaches, stops for a moment when close and then dashes at where
+    // the player was
+    "Charge": 1,
+    // Circles the player in a slowly tightening spiral
+    "Orbit": 2,
+    // Keeps its distance and fires ENEMY_BULLET_* bullets at the player
+    "Shoot": 3,
+    // Goes through phases as it loses health, each with its own speed and
+    // attacks. Survives touching the player and dies in a long explosion.
+    "Boss": 4,
+});
+
+const BossAttack = Object.freeze({
+    // ringCount enemy bullets in every direction at once
+    "Ring": 0,
+    // summonCount enemies of the summon archetype around the boss
+    "Summon": 1,
+    // A charge with the charge* fields of the archetype
+    "Dash": 2,
+});
+
+// Everything one kind of enemy differs in. Distances are world units and
+// times are seconds. Fields only some behaviors use are next to the
+// behavior. splitInto names the archetype an enemy breaks into when killed.
+// A boss is in the first of its phases whose until is below the fraction of
+// health it has left and cycles through the attacks of that phase.
+const ENEMY_ARCHETYPES = Object.freeze({
+    "Chaser": {
+        behavior: EnemyBehavior.Chase,
+        speed: ENEMY_SPEED,
+        radius: ENEMY_RADIUS,
+        color: ENEMY_COLOR,
+        health: 1,
+        damage: ENEMY_DAMAGE,
+        score: ENEMY_KILL_SCORE,
+        spawnWeight: 60,
+    },
+    "Charger": {
+        behavior: EnemyBehavior.Charge,
+        chargeRange: 800,
+        chargeWindup: 0.5,
+        chargeSpeed: PLAYER_SPEED * 1.8,
+        chargeDuration: 0.6,
+        speed: ENEMY_SPEED * 0.8,
+        radius: ENEMY_RADIUS * 0.8,
+        color: Color.hex("#cc8c3c"),
+        health: 1,
+        damage: ENEMY_DAMAGE,
+        score: ENEMY_KILL_SCORE * 1.5,
+        spawnWeight: 12,
+    },
+    "Tank": {
+        behavior: EnemyBehavior.Chase,
+        speed: ENEMY_SPEED * 0.5,
+        radius: ENEMY_RADIUS * 1.6,
+        color: Color.hex("#565f73"),
+        style: new CircleStyle({outlineWidth: 16, outlineColor: Color.hex("#95a99f")}),
+        health: 5,
+        damage: ENEMY_DAMAGE * 2,
+        score: ENEMY_KILL_SCORE * 4,
+        spawnWeight: 8,
+    },
+    "Splitter": {
+        behavior: EnemyBehavior.Chase,
+        splitInto: "Shard",
+        splitCount: 3,
+        speed: ENEMY_SPEED * 0.9,
+        radius: ENEMY_RADIUS * 1.2,
+        color: Color.hex("#73c936"),
+        health: 2,
+        damage: ENEMY_DAMAGE,
+        score: ENEMY_KILL_SCORE * 2,
+        spawnWeight: 8,
+    },
+    "Shard": {
+        behavior: EnemyBehavior.Chase,
+        speed: ENEMY_SPEED * 1.6,
+        radius: ENEMY_RADIUS * 0.5,
+        color: Color.hex("#73c936"),
+        health: 1,
+        damage: ENEMY_DAMAGE / 2,
+        score: ENEMY_KILL_SCORE / 2,
+        spawnWeight: 0,
+    },
+    "Orbiter": {
+        behavior: EnemyBehavior.Orbit,
+        orbitShrinkSpeed: ENEMY_SPEED * 0.3,
+        speed: ENEMY_SPEED * 1.5,
+        radius: ENEMY_RADIUS * 0.7,
+        color: Color.hex("#96a6c8"),
+        health: 1,
+        damage: ENEMY_DAMAGE,
+        score: ENEMY_KILL_SCORE * 2,
+        spawnWeight: 6,
+    },
+    "Shooter": {
+        behavior: EnemyBehavior.Shoot,
+        keepDistance: 900,
+        fireCooldown: 2.0,
+        speed: ENEMY_SPEED * 0.7,
+        radius: ENEMY_RADIUS,
+        color: ENEMY_BULLET_COLOR,
+        style: new CircleStyle({glowRadius: ENEMY_RADIUS * 0.5}),
+        health: 2,
+        damage: ENEMY_DAMAGE,
+        score: ENEMY_KILL_SCORE * 2.5,
+        spawnWeight: 6,
+    },
+    "Warden": {
+        behavior: EnemyBehavior.Boss,
+        name: "THE WARDEN",
+        phases: [
+            {until: 0.66, speed: ENEMY_SPEED * 0.4, attackCooldown: 3.0, attacks: [BossAttack.Ring]},
+            {until: 0.33, speed: ENEMY_SPEED * 0.5, attackCooldown: 2.5, attacks: [BossAttack.Ring, BossAttack.Summon]},
+            {until: 0.0, speed: ENEMY_SPEED * 0.6, attackCooldown: 1.6, attacks: [BossAttack.Dash, BossAttack.Ring, BossAttack.Summon]},
+        ],
+        ringCount: 16,
+        summon: "Chaser",
+        summonCount: 4,
+        chargeWindup: 0.8,
+        chargeSpeed: PLAYER_SPEED * 1.5,
+        chargeDuration: 0.8,
+        speed: ENEMY_SPEED * 0.4,
+        radius: BOSS_RADIUS,
+        color: Color.hex("#9e61c7"),
+        style: new CircleStyle({outlineWidth: 24, outlineColor: ENEMY_BULLET_COLOR, glowRadius: ENEMY_RADIUS}),
+        health: 60,
+        damage: ENEMY_DAMAGE * 2,
+        score: ENEMY_KILL_SCORE * 50,
+        spawnWeight: 0,
+    },
+});
+
+// What the collision checks have to look around an entity for
+const ENEMY_MAX_RADIUS = Math.max(...Object.values(ENEMY_ARCHETYPES).map(archetype => archetype.radius));
+const ENEMY_SPAWN_TOTAL_WEIGHT = Object.values(ENEMY_ARCHETYPES).reduce((sum, archetype) => sum + archetype.spawnWeight, 0);
+
+function pickEnemyArchetype(random) {
+    let weight = random.between(0, ENEMY_SPAWN_TOTAL_WEIGHT);
+    for (let archetype of Object.values(ENEMY_ARCHETYPES)) {
+        if (weight < archetype.spawnWeight) {
+            return archetype;
+        }
+        weight -= archetype.spawnWeight;
+    }
+    return ENEMY_ARCHETYPES.Chaser;
+}
+
+const ChargePhase = Object.freeze({
+    "Approach": 0,
+    "Windup": 1,
+    "Dash": 2,
+});
+
+// Scratch vectors of Enemy.update() and Enemy.fireAt()
+const enemyTarget = new V2(0, 0);
+const enemyBulletPos = new V2(0, 0);
+const enemyBulletVel = new V2(0, 0);
+
+class Enemy {
+    trail = new Trail(ENEMY_RADIUS, ENEMY_COLOR, ENEMY_TRAIL_RATE);
+    pos = new V2(0, 0);
+    prevPos = new V2(0, 0);
+    // How far the enemy moves this update, not per second
+    vel = new V2(0, 0);
+    // Direction of the current charge
+    dir = new V2(0, 0);
+
+    reset(pos, archetype = ENEMY_ARCHETYPES.Chaser) {
+        this.pos.copy(pos);
+        this.prevPos.copy(pos);
+        this.ded = false;
+        this.radius = 0.0;
+        this.archetype = archetype;
+        this.health = archetype.health;
+        this.hitFlash = 0.0;
+        this.phase = ChargePhase.Approach;
+        this.phaseTime = 0.0;
+        this.fireCooldown = archetype.fireCooldown ?? 0.0;
+        // Picked up from where the enemy is on its first update
+        this.orbitRadius = null;
+        this.orbitAngle = 0.0;
+        this.bossPhase = 0;
+        this.attackCooldown = archetype.phases?.[0].attackCooldown ?? 0.0;
+        this.attackIndex = 0;
+        this.pendingAttack = null;
+        this.contactCooldown = 0.0;
+        // Seconds left of the death explosion of a boss, null while alive
+        this.dying = null;
+        this.deathBurstCooldown = 0.0;
+        this.trail.reset();
+        this.trail.radius = archetype.radius;
+        this.trail.color = archetype.color;
+        return this;
+    }
+
+    moveTowards(target, distance) {
+        this.vel
+            .copy(target)
+            .subAssign(this.pos)
+            .normalizeAssign()
+            .scaleAssign(distance);
+    }
+
+    updateCharge(dt, followPos) {
+        const archetype = this.archetype;
+        this.phaseTime += dt;
+        switch (this.phase) {
+        case ChargePhase.Approach:
+            this.moveTowards(followPos, archetype.speed * dt);
+            if (this.pos.dist(followPos) <= archetype.chargeRange) {
+                this.phase = ChargePhase.Windup;
+                this.phaseTime = 0.0;
+            }
+            break;
+
+        case ChargePhase.Windup:
+            this.vel.set(0, 0);
+            if (this.phaseTime >= archetype.chargeWindup) {
+                this.dir.copy(followPos).subAssign(this.pos).normalizeAssign();
+                this.phase = ChargePhase.Dash;
+                this.phaseTime = 0.0;
+            }
+            break;
+
+        case ChargePhase.Dash:
+            this.vel.copy(this.dir).scaleAssign(archetype.chargeSpeed * dt);
+            if (this.phaseTime >= archetype.chargeDuration) {
+                this.phase = ChargePhase.Approach;
+                this.phaseTime = 0.0;
+            }
+            break;
+
+        default:
+            throw new Error(`Unknown charge phase ${this.phase}`);
+        }
+    }
+
+    updateOrbit(dt, followPos) {
+        if (this.orbitRadius === null) {
+            this.orbitRadius = this.pos.dist(followPos);
+            this.orbitAngle = Math.atan2(this.pos.y - followPos.y, this.pos.x - followPos.x);
+        }
+        this.orbitRadius = Math.max(this.orbitRadius - this.archetype.orbitShrinkSpeed * dt, 0.0);
+        this.orbitAngle += this.archetype.speed * dt / Math.max(this.orbitRadius, this.archetype.radius);
+        enemyTarget.setPolar(this.orbitRadius, this.orbitAngle).addAssign(followPos);
+        this.moveTowards(enemyTarget, Math.min(this.archetype.speed * dt, this.pos.dist(enemyTarget)));
+    }
+
+    updateShoot(dt, followPos) {
+        const distance = this.pos.dist(followPos);
+        if (distance > this.archetype.keepDistance) {
+            this.moveTowards(followPos, this.archetype.speed * dt);
+        } else {
+            // Backs off slowly if the player comes closer
+            this.moveTowards(followPos, -this.archetype.speed * dt * (1 - distance / this.archetype.keepDistance));
+        }
+        this.fireCooldown -= dt;
+    }
+
+    // Dashes reuse the windup and dash of updateCharge(). The other attacks
+    // need the Game, so they wait in pendingAttack for takeAttack().
+    updateBoss(dt, followPos) {
+        this.contactCooldown -= dt;
+        if (this.phase != ChargePhase.Approach) {
+            this.updateCharge(dt, followPos);
+            return;
+        }
+
+        const phase = this.archetype.phases[this.bossPhase];
+        this.moveTowards(followPos, phase.speed * dt);
+        this.attackCooldown -= dt;
+        if (this.attackCooldown <= 0.0 && this.radius >= this.archetype.radius) {
+            const attack = phase.attacks[this.attackIndex % phase.attacks.length];
+            this.attackIndex += 1;
+            this.attackCooldown = phase.attackCooldown;
+            if (attack == BossAttack.Dash) {
+                this.phase = ChargePhase.Windup;
+                this.phaseTime = 0.0;
+            } else {
+                this.pendingAttack = attack;
+            }
+        }
+    }
+
+    update(dt, followPos) {
+        if (this.dying !== null) {
+            this.vel.set(0, 0);
+            this.dying -= dt;
+            this.deathBurstCooldown -= dt;
+        } else {
+            switch (this.archetype.behavior) {
+            case EnemyBehavior.Chase: this.moveTowards(followPos, this.archetype.speed * dt); break;
+            case EnemyBehavior.Charge: this.updateCharge(dt, followPos); break;
+            case EnemyBehavior.Orbit: this.updateOrbit(dt, followPos); break;
+            case EnemyBehavior.Shoot: this.updateShoot(dt, followPos); break;
+            case EnemyBehavior.Boss: this.updateBoss(dt, followPos); break;
+            default:
+                throw new Error(`Unknown enemy behavior ${this.archetype.behavior}`);
+            }
+        }
+
+        this.trail.push(this.pos);
+        this.prevPos.copy(this.pos);
+        this.pos.addAssign(this.vel);
+        this.trail.update(dt);
+        this.hitFlash = Math.max(this.hitFlash - dt, 0.0);
+
+        if (this.radius < this.archetype.radius) {
+            this.radius += ENEMY_SPAWN_ANIMATION_SPEED * dt;
+        } else {
+            this.radius = this.archetype.radius;
+        }
+    }
+
+    // Returns true if the enemy died
+    hit(damage = 1) {
+        this.health -= damage;
+        this.hitFlash = ENEMY_HIT_FLASH_DURATION;
+
+        const phases = this.archetype.phases;
+        if (phases !== undefined && this.health > 0) {
+            const left = this.health / this.archetype.health;
+            const bossPhase = phases.findIndex(phase => left > phase.until);
+            if (bossPhase != this.bossPhase) {
+                // The next phase opens with an attack
+                this.bossPhase = bossPhase;
+                this.attackCooldown = 0.0;
+                this.attackIndex = 0;
+                this.hitFlash = BOSS_PHASE_FLASH_DURATION;
+            }
+        }
+
+        return this.health <= 0;
+    }
+
+    // Whether bullets and the player can still run into it
+    collides() {
+        return !this.ded && this.dying === null;
+    }
+
+    startDying() {
+        this.dying = BOSS_DEATH_DURATION;
+        this.deathBurstCooldown = 0.0;
+        this.phase = ChargePhase.Approach;
+        this.pendingAttack = null;
+    }
+
+    takeAttack() {
+        const attack = this.pendingAttack;
+        this.pendingAttack = null;
+        return attack;
+    }
+
+    // Only once it is fully spawned
+    readyToFire() {
+        return this.archetype.behavior == EnemyBehavior.Shoot &&
+               this.fireCooldown <= 0.0 &&
+               this.radius >= this.archetype.radius;
+    }
+
+    fireAt(target, bullet) {
+        this.fireCooldown = this.archetype.fireCooldown;
+        enemyBulletVel.copy(target).subAssign(this.pos).normalizeAssign();
+        enemyBulletPos.copy(this.pos).addScaled(enemyBulletVel, this.archetype.radius + ENEMY_BULLET_RADIUS);
+        enemyBulletVel.scaleAssign(ENEMY_BULLET_SPEED);
+        return bullet.reset(enemyBulletPos, enemyBulletVel, ENEMY_BULLET_RADIUS, ENEMY_BULLET_COLOR);
+    }
+
+    render(renderer, alpha) {
+        this.trail.render(renderer);
+        renderer.fillCircle(
+            renderPos.setLerp(this.prevPos, this.pos, alpha),
+            this.radius,
+            this.hitFlash > 0.0 ? ENEMY_HIT_COLOR : this.archetype.color,
+            this.archetype.style);
+    }
+}
+
+class Bullet {
+    pos = new V2(0, 0);
+    prevPos = new V2(0, 0);
+    vel = new V2(0, 0);
+
+    reset(pos, vel, radius = BULLET_RADIUS, color = PLAYER_COLOR) {
+        this.pos.copy(pos);
+        this.prevPos.copy(pos);
+        this.vel.copy(vel);
+        this.lifetime = BULLET_LIFETIME;
+        this.radius = radius;
+        this.color = color;
+        this.damage = 1;
+        // Enemies it can still go through
+        this.pierce = 0;
+        // Radians per second it turns towards the closest enemy
+        this.homing = 0.0;
+        // Number of the volley it belongs to, null if no weapon fired it or
+        // the volley already hit something
+        this.shot = null;
+        // So a piercing bullet hits an enemy only once on its way through
+        this.lastHit = null;
+        return this;
+    }
+
+    steerTowards(target, dt) {
+        const angle = Math.atan2(this.vel.y, this.vel.x);
+        const delta = Math.atan2(target.y - this.pos.y, target.x - this.pos.x) - angle;
+        const turn = this.homing * dt;
+        this.vel.setPolar(this.vel.len(), angle + Math.max(-turn, Math.min(Math.atan2(Math.sin(delta), Math.cos(delta)), turn)));
+    }
+
+    update(dt) {
+        this.prevPos.copy(this.pos);
+        this.pos.addScaled(this.vel, dt);
+        this.lifetime -= dt;
+    }
+
+    render(renderer, alpha) {
+        renderer.fillCircle(renderPos.setLerp(this.prevPos, this.pos, alpha), this.radius, this.color);
+    }
+}
+
+const FireMode = Object.freeze({
+    // One volley per click, and holdFireRate of them while the button is held
+    // if the weapon has one
+    "Single": 0,
+    // Volleys for as long as the button is held
+    "Automatic": 1,
+    // Holding the button charges up a volley that goes off on release
+    "Charge": 2,
+});
+
+// Everything one gun differs in, in the order the weapon keys cycle through
+// them. fireRate is volleys per second and holdFireRate how many of them a
+// single weapon keeps firing while the button is held. A volley is pellets
+// bullets fanned out over spread radians, each turned by up to jitter radians
+// at random.
+// A bullet goes through pierce enemies before it is spent and turns towards
+// the closest enemy by up to homing radians per second. A charge weapon
+// fires when the button comes up: a plain bullet if it was only tapped, its
+// full damage, radius and pierce after chargeTime seconds of holding.
+const WEAPONS = Object.freeze([
+    {
+        name: "PISTOL",
+        key: "Digit1",
+        mode: FireMode.Single,
+        fireRate: 10.0,
+        holdFireRate: 4.0,
+        pellets: 1,
+        spread: 0.0,
+        jitter: 0.0,
+        speed: BULLET_SPEED,
+        radius: BULLET_RADIUS,
+        lifetime: BULLET_LIFETIME,
+        damage: 1,
+        pierce: 0,
+        homing: 0.0,
+    },
+    {
+        name: "SHOTGUN",
+        key: "Digit2",
+        mode: FireMode.Single,
+        fireRate: 1.5,
+        holdFireRate: 1.0,
+        pellets: 7,
+        spread: 0.6,
+        jitter: 0.05,
+        speed: BULLET_SPEED * 0.9,
+        radius: BULLET_RADIUS * 0.6,
+        lifetime: 0.6,
+        damage: 1,
+        pierce: 0,
+        homing: 0.0,
+    },
+    {
+        name: "RIFLE",
+        key: "Digit3",
+        mode: FireMode.Automatic,
+        fireRate: 10.0,
+        pellets: 1,
+        spread: 0.0,
+        jitter: 0.08,
+        speed: BULLET_SPEED * 1.2,
+        radius: BULLET_RADIUS * 0.7,
+        lifetime: BULLET_LIFETIME,
+        damage: 1,
+        pierce: 0,
+        homing: 0.0,
+    },
+    {
+        name: "RAILGUN",
+        key: "Digit4",
+        mode: FireMode.Single,
+        fireRate: 1.0,
+        pellets: 1,
+        spread: 0.0,
+        jitter: 0.0,
+        speed: BULLET_SPEED * 2.0,
+        radius: BULLET_RADIUS * 0.8,
+        lifetime: BULLET_LIFETIME,
+        damage: 2,
+        pierce: 5,
+        homing: 0.0,
+    },
+    {
+        name: "SEEKER",
+        key: "Digit5",
+        mode: FireMode.Single,
+        fireRate: 3.0,
+        holdFireRate: 2.0,
+        pellets: 2,
+        spread: 0.8,
+        jitter: 0.0,
+        speed: BULLET_SPEED * 0.6,
+        radius: BULLET_RADIUS * 0.8,
+        lifetime: BULLET_LIFETIME,
+        damage: 1,
+        pierce: 0,
+        homing: 5.0,
+    },
+    {
+        name: "CANNON",
+        key: "Digit6",
+        mode: FireMode.Charge,
+        chargeTime: 1.2,
+        fireRate: 2.0,
+        pellets: 1,
+        spread: 0.0,
+        jitter: 0.0,
+        speed: BULLET_SPEED * 0.8,
+        radius: BULLET_RADIUS * 2.5,
+        lifetime: BULLET_LIFETIME,
+        damage: 6,
+        pierce: 3,
+        homing: 0.0,
+    },
+]);
+
+// What the collision checks have to look around an entity for
+const BULLET_MAX_RADIUS = Math.max(...WEAPONS.map(weapon => weapon.radius));
+
+// What the pickups enemies drop do. duration is how many seconds the effect
+// lasts once picked up, with 0 for the ones that happen right away. Fields
+// only one power-up uses are next to it.
+const POWER_UPS = Object.freeze({
+    // Enemies and their bullets do no damage
+    "Shield": {
+        label: "SHIELD",
+        radius: PLAYER_RADIUS * 1.5,
+        color: Color.hex("#5fd7ff"),
+        style: new CircleStyle({outlineWidth: 10, outlineColor: Color.hex("#5fd7ff")}),
+        duration: 8.0,
+        dropWeight: 3,
+    },
+    "Speed": {
+        label: "SPEED",
+        speedFactor: 1.6,
+        color: Color.hex("#73c936"),
+        duration: 10.0,
+        dropWeight: 4,
+    },
+    // Every volley also goes out sides times to the left and to the right,
+    // angle radians apart
+    "MultiShot": {
+        label: "MULTI-SHOT",
+        sides: 1,
+        angle: 0.25,
+        color: Color.hex("#ff9f43"),
+        duration: 10.0,
+        dropWeight: 4,
+    },
+    // Enemies and their bullets move factor times as fast
+    "TimeSlow": {
+        label: "TIME SLOW",
+        factor: 0.4,
+        color: Color.hex("#c792ea"),
+        duration: 6.0,
+        dropWeight: 2,
+    },
+    // Kills every enemy within radius and their bullets. Bosses only take
+    // bossDamage.
+    "Bomb": {
+        label: "BOMB",
+        radius: ENEMY_SPAWN_DISTANCE * 1.5,
+        bossDamage: 10,
+        color: MESSAGE_COLOR,
+        duration: 0.0,
+        dropWeight: 1,
+    },
+});
+
+const POWER_UP_TOTAL_WEIGHT = Object.values(POWER_UPS).reduce((sum, powerUp) => sum + powerUp.dropWeight, 0);
+
+function pickPowerUp(random) {
+    let weight = random.between(0, POWER_UP_TOTAL_WEIGHT);
+    for (let powerUp of Object.values(POWER_UPS)) {
+        if (weight < powerUp.dropWeight) {
+            return powerUp;
+        }
+        weight -= powerUp.dropWeight;
+    }
+    return POWER_UPS.Shield;
+}
+
+class Pickup {
+    pos = new V2(0, 0);
+
+    reset(pos, powerUp) {
+        this.pos.copy(pos);
+        this.powerUp = powerUp;
+        this.lifetime = PICKUP_LIFETIME;
+        return this;
+    }
+
+    update(dt) {
+        this.lifetime -= dt;
+    }
+
+    render(renderer, alpha) {
+        // Blinks for a while before it disappears
+        if (this.lifetime > PICKUP_BLINK_TIME || Math.floor(this.lifetime * PICKUP_BLINK_RATE) % 2 == 0) {
+            renderer.fillCircle(this.pos, PICKUP_RADIUS, this.powerUp.color, PICKUP_STYLE);
+        }
+    }
+}
+
+const Formation = Object.freeze({
+    // One at a time from random directions, interval seconds apart
+    "Scattered": 0,
+    // Evenly around the player
+    "Ring": 1,
+    // A wall coming from one direction
+    "Line": 2,
+    // A clump coming from one direction
+    "Cluster": 3,
+});
+
+// What the WaveDirector plays. Every wave starts after its pause and ends
+// once all of its groups have spawned and every enemy is dead, or after
+// timeout seconds if it has one. A group spawns count enemies of the
+// archetype named by enemy, or of archetypes picked by their spawnWeight if
+// it names none, delay seconds into the wave. Once the waves run out the
+// director starts over from repeatFrom with every count multiplied by
+// countGrowth for each time around. Every boss in bosses spawns once, as
+// soon as the score reaches its score, on top of whatever wave is running.
+//
+// A JSON file in the same shape can be loaded with ?waves=<url>.
+const WAVES = Object.freeze({
+    repeatFrom: 4,
+    countGrowth: 1.25,
+    waves: [
+        {pause: 2.0, groups: [
+            {enemy: "Chaser", count: 5, formation: "Scattered", interval: 1.0},
+        ]},
+        {pause: 3.0, groups: [
+            {enemy: "Chaser", count: 8, formation: "Ring"},
+        ]},
+        {pause: 3.0, groups: [
+            {enemy: "Chaser", count: 6, formation: "Scattered", interval: 0.7},
+            {enemy: "Charger", count: 3, formation: "Cluster", delay: 4.0},
+        ]},
+        {pause: 3.0, groups: [
+            {enemy: "Splitter", count: 4, formation: "Line"},
+            {enemy: "Chaser", count: 8, formation: "Ring", delay: 5.0},
+        ]},
+        {pause: 3.0, groups: [
+            {enemy: "Orbiter", count: 6, formation: "Ring"},
+            {enemy: "Shooter", count: 2, formation: "Scattered", interval: 2.0, delay: 3.0},
+        ]},
+        {pause: 3.0, groups: [
+            {enemy: "Tank", count: 2, formation: "Line"},
+            {enemy: "Chaser", count: 10, formation: "Scattered", interval: 0.4, delay: 2.0},
+        ]},
+        {pause: 3.0, timeout: 30.0, groups: [
+            {enemy: "Charger", count: 6, formation: "Ring"},
+            {enemy: "Splitter", count: 3, formation: "Cluster", delay: 4.0},
+            {enemy: "Shooter", count: 3, formation: "Line", delay: 8.0},
+        ]},
+        {pause: 4.0, timeout: 40.0, groups: [
+            {enemy: "Tank", count: 3, formation: "Ring"},
+            {enemy: "Orbiter", count: 8, formation: "Ring", delay: 3.0},
+            {count: 12, formation: "Scattered", interval: 0.3, delay: 6.0},
+        ]},
+        {pause: 5.0, groups: [
+            {enemy: "Warden", count: 1, formation: "Scattered"},
+            {enemy: "Chaser", count: 6, formation: "Ring", delay: 10.0},
+        ]},
+    ],
+    bosses: [
+        {score: 10000, enemy: "Warden"},
+    ],
+});
+
+const WavePhase = Object.freeze({
+    "Pause": 0,
+    "Spawning": 1,
+});
+
+// Spawns the enemies of the waves in definitions one wave after another.
+// The definitions are checked up front so a typo in them fails right away
+// instead of in the middle of a run.
+class WaveDirector {
+    // Number of the current wave counting from 1, or 0 before the first one
+    wave = 0;
+    phase = WavePhase.Pause;
+    time = 0.0;
+    // [time, archetype or null, formation, count] of the current wave,
+    // ordered by time
+    schedule = [];
+    cursor = 0;
+    // How many of the score milestone bosses have spawned
+    bosses = 0;
+
+    constructor(definitions = WAVES) {
+        WaveDirector.validate(definitions);
+        this.definitions = definitions;
+    }
+
+    static validate(definitions) {
+        const waves = definitions.waves;
+        if (!Array.isArray(waves) || waves.length == 0) {
+            throw new Error(`Wave definitions need at least one wave`);
+        }
+        if (!(Number.isInteger(definitions.repeatFrom) && definitions.repeatFrom >= 1 && definitions.repeatFrom <= waves.length)) {
+            throw new Error(`repeatFrom ${definitions.repeatFrom} is not the number of a wave`);
+        }
+        if (!(Number.isFinite(definitions.countGrowth) && definitions.countGrowth > 0)) {
+            throw new Error(`countGrowth ${definitions.countGrowth} is not a positive number`);
+        }
+        // JSON from ?waves= can have strings where the numbers go, and those
+        // only show up as NaN timers once the wave runs
+        const isSeconds = (value) => Number.isFinite(value) && value >= 0;
+        for (let i = 0; i < waves.length; ++i) {
+            if (!isSeconds(waves[i].pause)) {
+                throw new Error(`Wave ${i + 1}: pause ${waves[i].pause} is not a number of seconds`);
+            }
+            if (waves[i].timeout !== undefined && !isSeconds(waves[i].timeout)) {
+                throw new Error(`Wave ${i + 1}: timeout ${waves[i].timeout} is not a number of seconds`);
+            }
+            if (!Array.isArray(waves[i].groups)) {
+                throw new Error(`Wave ${i + 1}: groups ${waves[i].groups} is not an array of groups`);
+            }
+            for (let group of waves[i].groups) {
+                if (!(Number.isInteger(group.count) && group.count > 0)) {
+                    throw new Error(`Wave ${i + 1}: count ${group.count} is not a positive whole number of enemies`);
+                }
+                for (let field of ["delay", "interval"]) {
+                    if (group[field] !== undefined && !isSeconds(group[field])) {
+                        throw new Error(`Wave ${i + 1}: ${field} ${group[field]} is not a number of seconds`);
+                    }
+                }
+                if (group.enemy !== undefined && !Object.hasOwn(ENEMY_ARCHETYPES, group.enemy)) {
+                    throw new Error(`Wave ${i + 1}: unknown enemy ${group.enemy}. Expected one of ${Object.keys(ENEMY_ARCHETYPES).join(", ")}`);
+                }
+                if (!Object.hasOwn(Formation, group.formation)) {
+                    throw new Error(`Wave ${i + 1}: unknown formation ${group.formation}. Expected one of ${Object.keys(Formation).join(", ")}`);
+                }
+            }
+        }
+        const bosses = definitions.bosses ?? [];
+        if (!Array.isArray(bosses)) {
+            throw new Error(`bosses ${bosses} is not an array of bosses`);
+        }
+        for (let i = 0; i < bosses.length; ++i) {
+            if (!Object.hasOwn(ENEMY_ARCHETYPES, bosses[i].enemy)) {
+                throw new Error(`Boss ${i + 1}: unknown enemy ${bosses[i].enemy}. Expected one of ${Object.keys(ENEMY_ARCHETYPES).join(", ")}`);
+            }
+            if (!(Number.isFinite(bosses[i].score) && bosses[i].score >= 0)) {
+                throw new Error(`Boss ${i + 1}: score ${bosses[i].score} is not a number of points`);
+            }
+            if (i > 0 && bosses[i].score < bosses[i - 1].score) {
+                throw new Error(`Boss ${i + 1}: score ${bosses[i].score} is lower than the score of the boss before it`);
+            }
+        }
+    }
+
+    // Definition of the wave with the given number and how many times around
+    // the waves the director is by then
+    definitionOf(wave) {
+        const waves = this.definitions.waves;
+        const index = wave - 1;
+        if (index < waves.length) {
+            return [waves[index], 0];
+        }
+        const repeated = waves.length - this.definitions.repeatFrom + 1;
+        const past = index - waves.length;
+        return [
+            waves[this.definitions.repeatFrom - 1 + past % repeated],
+            1 + Math.floor(past / repeated),
+        ];
+    }
+
+    startWave() {
+        this.wave += 1;
+        this.phase = WavePhase.Spawning;
+        this.time = 0.0;
+        this.cursor = 0;
+        this.schedule.length = 0;
+
+        const [definition, loops] = this.definitionOf(this.wave);
+        for (let group of definition.groups) {
+            const archetype = group.enemy === undefined ? null : ENEMY_ARCHETYPES[group.enemy];
+            const formation = Formation[group.formation];
+            const count = Math.round(group.count * this.definitions.countGrowth ** loops);
+            const delay = group.delay ?? 0.0;
+            if (formation == Formation.Scattered) {
+                for (let i = 0; i < count; ++i) {
+                    this.schedule.push([delay + i * (group.interval ?? 0.0), archetype, formation, 1]);
+                }
+            } else {
+                this.schedule.push([delay, archetype, formation, count]);
+            }
+        }
+        this.schedule.sort((a, b) => a[0] - b[0]);
+    }
+
+    update(dt, game) {
+        this.time += dt;
+
+        const bosses = this.definitions.bosses ?? [];
+        while (this.bosses < bosses.length && bosses[this.bosses].score <= game.score) {
+            game.spawnFormation(ENEMY_ARCHETYPES[bosses[this.bosses].enemy], Formation.Scattered, 1);
+            this.bosses += 1;
+        }
+
+        if (this.phase == WavePhase.Pause) {
+            if (this.time >= this.definitionOf(this.wave + 1)[0].pause) {
+                this.startWave();
+            }
+            return;
+        }
+
+        while (this.cursor < this.schedule.length && this.schedule[this.cursor][0] <= this.time) {
+            const [, archetype, formation, count] = this.schedule[this.cursor];
+            game.spawnFormation(archetype, formation, count);
+            this.cursor += 1;
+        }
+
+        const [definition] = this.definitionOf(this.wave);
+        const cleared = this.cursor >= this.schedule.length && game.enemies.every(enemy => enemy.ded);
+        if (cleared || this.time >= (definition.timeout ?? Infinity)) {
+            this.phase = WavePhase.Pause;
+            this.time = 0.0;
+        }
+    }
+
+    render(renderer) {
+        if (this.wave > 0) {
+            renderer.fillHudText(`WAVE ${this.wave}`, HUD_MARGIN, HUD_MARGIN, HUD_COLOR);
+        }
+
+        // Announces the next wave while pausing before it
+        if (this.phase == WavePhase.Pause) {
+            const pause = this.definitionOf(this.wave + 1)[0].pause;
+            const alpha = Math.min(this.time * WAVE_BANNER_FADE_SPEED, (pause - this.time) * WAVE_BANNER_FADE_SPEED, 1.0);
+            if (alpha > 0.0) {
+                renderer.fillMessage(`WAVE ${this.wave + 1}`, renderColor.setWithAlpha(MESSAGE_COLOR, alpha));
+            }
+        }
+    }
+}
+
+class TutorialPopup {
+    constructor(text) {
+        this.alpha = 0.0;
+        this.dalpha = 0.0;
+        this.text = text;
+        this.onFadedOut = undefined;
+        this.onFadedIn = undefined;
+    }
+
+    update(dt) {
+        this.alpha += this.dalpha * dt;
+
+        if (this.dalpha < 0.0 && this.alpha <= 0.0) {
+            this.dalpha = 0.0;
+            this.alpha = 0.0;
+
+            this.onFadedOut?.();
+        } else if (this.dalpha > 0.0 && this.alpha >= 1.0) {
+            this.dalpha = 0.0;
+            this.alpha = 1.0;
+
+            this.onFadedIn?.();
+        }
+    }
+
+    render(renderer) {
+        renderer.fillMessage(this.text, renderColor.setWithAlpha(MESSAGE_COLOR, this.alpha));
+    }
+
+    fadeIn() {
+        this.dalpha = TUTORIAL_POPUP_SPEED;
+    }
+
+    fadeOut() {
+        this.dalpha = -TUTORIAL_POPUP_SPEED;
+    }
+}
+
+const TutorialState = Object.freeze({
+    "LearningMovement": 0,
+    "LearningShooting": 1,
+    "Finished": 2,
+});
+
+const TutorialMessages = Object.freeze([
+    "WASD to move",
+    "Left Mouse Click to shoot",
+    ""
+]);
+
+const TouchTutorialMessages = Object.freeze([
+    "Drag on the left to move",
+    "Drag on the right to shoot",
+    ""
+]);
+
+const LOCAL_STORAGE_TUTORIAL = "tutorial";
+
+class Tutorial {
+    constructor(storage, messages = TutorialMessages) {
+        this.storage = storage;
+        this.messages = messages;
+        // Storage keeps strings, and "0" += 1 is "01"
+        this.state = Number(storage.getItem(LOCAL_STORAGE_TUTORIAL) ?? TutorialState.LearningMovement);
+        this.popup = new TutorialPopup(this.messages[this.state]);
+        this.popup.fadeIn();
+        this.popup.onFadedOut = () => {
+            this.popup.text = this.messages[this.state];
+            this.popup.fadeIn();
+        };
+    }
+
+    setMessages(messages) {
+        this.messages = messages;
+        this.popup.text = messages[this.state];
+    }
+
+    update(dt) {
+        this.popup.update(dt);
+    }
+
+    render(renderer) {
+        this.popup.render(renderer);
+    }
+
+    playerMoved() {
+        if (this.state == TutorialState.LearningMovement) {
+            this.popup.fadeOut();
+            this.state += 1;
+            this.storage.setItem(LOCAL_STORAGE_TUTORIAL, this.state);
+        }
+    }
+
+    playerShot() {
+        if (this.state == TutorialState.LearningShooting) {
+            this.popup.fadeOut();
+            this.state += 1;
+            this.storage.setItem(LOCAL_STORAGE_TUTORIAL, this.state);
+        }
+    }
+}
+
+// Stands in for window.localStorage when a run must not touch the real one,
+// e.g. while watching a replay.
+class MemoryStorage {
+    items = new Map();
+
+    getItem(key) {
+        return this.items.get(key) ?? null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+}
+
+// KeyboardEvent.code names the position of a key, not what is printed on it,
+// so the AZERTY preset moves with the same codes as WASD and only changes
+// what the keys are called in the messages.
+const BINDING_PRESETS = Object.freeze({
+    "WASD": {
+        keyboard: {
+            MoveUp: ["KeyW"], MoveDown: ["KeyS"], MoveLeft: ["KeyA"], MoveRight: ["KeyD"],
+            Dash: ["ShiftLeft"], PreviousWeapon: ["KeyQ"], NextWeapon: ["KeyE"],
+            Pause: ["Space"], Restart: ["Space"],
+        },
+        labels: {},
+    },
+    "Arrows": {
+        keyboard: {
+            MoveUp: ["ArrowUp"], MoveDown: ["ArrowDown"], MoveLeft: ["ArrowLeft"], MoveRight: ["ArrowRight"],
+            Dash: ["ShiftRight"], PreviousWeapon: ["Delete"], NextWeapon: ["PageDown"],
+            Pause: ["Space", "Enter"], Restart: ["Space", "Enter"],
+        },
+        labels: {},
+    },
+    "AZERTY": {
+        keyboard: {
+            MoveUp: ["KeyW"], MoveDown: ["KeyS"], MoveLeft: ["KeyA"], MoveRight: ["KeyD"],
+            Dash: ["ShiftLeft"], PreviousWeapon: ["KeyQ"], NextWeapon: ["KeyE"],
+            Pause: ["Space"], Restart: ["Space"],
+        },
+        labels: {KeyQ: "A", KeyW: "Z", KeyA: "Q", KeyZ: "W", KeyM: ",", Semicolon: "M"},
+    },
+});
+const DEFAULT_BINDING_PRESET = "WASD";
+const DEFAULT_MOUSE_BINDINGS = {Fire: [0], Dash: [2]};
+// Buttons of the "standard" gamepad mapping, https://w3c.github.io/gamepad/#remapping
+const DEFAULT_GAMEPAD_BINDINGS = {
+    Fire: [7], Dash: [0, 6], PreviousWeapon: [4], NextWeapon: [5], Pause: [9], Restart: [9, 0],
+};
+const BINDING_DEVICES = ["keyboard", "mouse", "gamepad"];
+const MOUSE_BUTTON_LABELS = ["LEFT MOUSE", "MIDDLE MOUSE", "RIGHT MOUSE"];
+const GAMEPAD_BUTTON_LABELS = [
+    "A", "B", "X", "Y", "LB", "RB", "LT", "RT", "BACK", "START", "LS", "RS", "D-PAD UP", "D-PAD DOWN", "D-PAD LEFT", "D-PAD RIGHT", "HOME",
+];
+const LOCAL_STORAGE_BINDINGS = "bindings";
+// Keeps what is bound to the action Game.startRebinding() is asking about
+const REBIND_SKIP_KEY = "Escape";
+
+// Which keys, mouse buttons and gamepad buttons trigger which Action, stored
+// as {preset, labels, keyboard, mouse, gamepad} where every device maps
+// action names to the codes bound to them. One code can be bound to several
+// actions, like Space is to Pause and Restart. Saved to storage on every
+// change.
+class Bindings {
+    constructor(storage) {
+        this.storage = storage;
+        const saved = storage.getItem(LOCAL_STORAGE_BINDINGS);
+        if (saved === null) {
+            this.usePreset(DEFAULT_BINDING_PRESET);
+            return;
+        }
+        try {
+            const bindings = JSON.parse(saved);
+            Bindings.validate(bindings);
+            this.bindings = bindings;
+        } catch {
+            // Unreadable bindings from an older or broken save
+            this.usePreset(DEFAULT_BINDING_PRESET);
+        }
+    }
+
+    static validate(bindings) {
+        if (typeof bindings?.labels !== "object" || bindings.labels === null) {
+            throw new Error(`Bindings have no labels`);
+        }
+        for (let [code, label] of Object.entries(bindings.labels)) {
+            if (typeof label !== "string") {
+                throw new Error(`Label of ${code} is not a string`);
+            }
+        }
+        for (let device of BINDING_DEVICES) {
+            if (typeof bindings[device] !== "object" || bindings[device] === null) {
+                throw new Error(`Bindings have no ${device}`);
+            }
+            for (let [name, codes] of Object.entries(bindings[device])) {
+                if (!Object.hasOwn(Action, name)) {
+                    throw new Error(`Unknown action ${name} in the ${device} bindings`);
+                }
+                if (!Array.isArray(codes)) {
+                    throw new Error(`Bindings of ${name} on the ${device} are not a list`);
+                }
+                // Keys are KeyboardEvent.code, mouse and gamepad buttons are numbered
+                const isCode = device == "keyboard"
+                    ? (code) => typeof code === "string"
+                    : (code) => Number.isInteger(code) && code >= 0;
+                if (!codes.every(isCode)) {
+                    throw new Error(`Bindings of ${name} on the ${device} have a code that is not a ${device == "keyboard" ? "key" : "button"}`);
+                }
+            }
+        }
+    }
+
+    get preset() {
+        return this.bindings.preset;
+    }
+
+    // Mouse and gamepad bindings are the same for every preset
+    usePreset(name) {
+        const preset = BINDING_PRESETS[name];
+        if (preset === undefined) {
+            throw new Error(`Unknown binding preset ${name}`);
+        }
+        this.bindings = {
+            preset: name,
+            labels: preset.labels,
+            keyboard: structuredClone(preset.keyboard),
+            mouse: structuredClone(this.bindings?.mouse ?? DEFAULT_MOUSE_BINDINGS),
+            gamepad: structuredClone(this.bindings?.gamepad ?? DEFAULT_GAMEPAD_BINDINGS),
+        };
+        this.save();
+    }
+
+    // Replaces whatever action was bound to on device with code alone
+    bind(device, action, code) {
+        this.bindings[device][ACTION_NAMES[action]] = [code];
+        this.bindings.preset = null;
+        this.save();
+    }
+
+    actions(device, code) {
+        const actions = [];
+        for (let [name, codes] of Object.entries(this.bindings[device])) {
+            if (codes.includes(code)) {
+                actions.push(Action[name]);
+            }
+        }
+        return actions;
+    }
+
+    codes(device, action) {
+        return this.bindings[device][ACTION_NAMES[action]] ?? [];
+    }
+
+    label(device, code) {
+        switch (device) {
+        case "keyboard": return this.bindings.labels[code] ?? code.replace(/^(Key|Digit|Arrow)/, "").replace(/([a-z])([A-Z])/g, "$1 $2").toUpperCase();
+        case "mouse": return MOUSE_BUTTON_LABELS[code] ?? `MOUSE ${code + 1}`;
+        case "gamepad": return `GAMEPAD ${GAMEPAD_BUTTON_LABELS[code] ?? code}`;
+        default: throw new Error(`Unknown device ${device}`);
+        }
+    }
+
+    // What to call the button of action in messages: the first one bound to
+    // it, keys before mouse and gamepad buttons
+    describe(action) {
+        for (let device of BINDING_DEVICES) {
+            const codes = this.codes(device, action);
+            if (codes.length > 0) {
+                return this.label(device, codes[0]);
+            }
+        }
+        return "UNBOUND";
+    }
+
+    // WASD for single letters, UP/LEFT/DOWN/RIGHT otherwise
+    moveHint() {
+        const labels = [Action.MoveUp, Action.MoveLeft, Action.MoveDown, Action.MoveRight]
+            .map(action => this.codes("keyboard", action).map(code => this.label("keyboard", code))[0] ?? "?");
+        return `${labels.join(labels.every(label => label.length == 1) ? "" : "/")} to move`;
+    }
+
+    save() {
+        this.storage.setItem(LOCAL_STORAGE_BINDINGS, JSON.stringify(this.bindings));
+    }
+
+    toJSON() {
+        return this.bindings;
+    }
+}
+
+// The dots live in a ring buffer stored as separate arrays of x, y and alpha.
+// A dot is pushed at most every TRAIL_COOLDOWN and fades out within 1 / rate
+// seconds, which bounds how many of them can be alive at once.
+class Trail {
+    cooldown = 0;
+    disabled = false;
+    start = 0;
+    count = 0;
+
+    constructor(radius, color, rate, style = null) {
+        this.radius = radius;
+        this.color = color;
+        this.rate = rate;
+        this.style = style;
+        this.capacity = Math.ceil(1 / (rate * TRAIL_COOLDOWN)) + 2;
+        this.xs = new Float64Array(this.capacity);
+        this.ys = new Float64Array(this.capacity);
+        this.as = new Float64Array(this.capacity);
+    }
+
+    reset() {
+        this.cooldown = 0;
+        this.disabled = false;
+        this.start = 0;
+        this.count = 0;
+    }
+
+    render(renderer) {
+        for (let i = 0; i < this.count; ++i) {
+            const j = (this.start + i) % this.capacity;
+            renderer.fillCircle(
+                renderPos.set(this.xs[j], this.ys[j]),
+                this.radius * this.as[j],
+                renderColor.setWithAlpha(this.color, 0.2 * this.as[j]),
+                this.style);
+        }
+    }
+
+    update(dt) {
+        for (let i = 0; i < this.count; ++i) {
+            this.as[(this.start + i) % this.capacity] -= this.rate * dt;
+        }
+
+        while (this.count > 0 && this.as[this.start] <= 0.0) {
+            this.start = (this.start + 1) % this.capacity;
+            this.count -= 1;
+        }
+
+        this.cooldown -= dt;
+    }
+
+    push(pos) {
+        if (!this.disabled && this.cooldown <= 0)  {
+            // Only rounding can fill the buffer up. Losing the oldest dot
+            // then is not noticeable.
+            if (this.count == this.capacity) {
+                this.start = (this.start + 1) % this.capacity;
+                this.count -= 1;
+            }
+            const j = (this.start + this.count) % this.capacity;
+            this.xs[j] = pos.x;
+            this.ys[j] = pos.y;
+            this.as[j] = 1.0;
+            this.count += 1;
+            this.cooldown = TRAIL_COOLDOWN;
+        }
+    }
+}
+
+// Scratch vectors of Player.update() and Player.shootAt()
+const playerSteer = new V2(0, 0);
+const playerBulletPos = new V2(0, 0);
+const playerBulletVel = new V2(0, 0);
+
+class Player {
+    health = PLAYER_MAX_HEALTH;
+    trail = new Trail(PLAYER_RADIUS, PLAYER_COLOR, PLAYER_TRAIL_RATE);
+    // Left behind only while dashing
+    dashTrail = new Trail(PLAYER_RADIUS, PLAYER_DASH_TRAIL_COLOR, PLAYER_DASH_TRAIL_RATE, new CircleStyle({glowRadius: PLAYER_RADIUS / 2}));
+    vel = new V2(0, 0);
+    // Seconds left of the current dash, of the cooldown until the next one
+    // and of the invulnerability it gives
+    dashTime = 0.0;
+    dashCooldown = 0.0;
+    // Starts out protecting a freshly spawned player
+    invulnerability = PLAYER_SPAWN_PROTECTION;
+    // Grows from nothing when the player spawns, like the enemies do
+    radius = 0.0;
+
+    weaponIndex = 0;
+    weapon = WEAPONS[0];
+    fireCooldown = 0.0;
+    holdCooldown = 0.0;
+    // From 0.0 to 1.0 while a charge weapon is held, null otherwise
+    charge = null;
+    // Seconds left of every power-up in effect, in the order they were
+    // picked up
+    powerUps = new Map();
+
+    constructor(pos, storage) {
+        this.pos = new V2(pos.x, pos.y);
+        this.prevPos = new V2(pos.x, pos.y);
+        // Volleys that hit something out of shootCount volleys fired
+        this.accuracy = 0;
+        this.shootCount = storage.getItem(LOCAL_STORAGE_TUTORIAL) == TutorialState.Finished ? 0 : -1;
+    }
+
+    render(renderer, alpha) {
+        this.trail.render(renderer);
+        this.dashTrail.render(renderer);
+
+        if (this.health > 0.0) {
+            renderPos.setLerp(this.prevPos, this.pos, alpha);
+            if (this.charge !== null) {
+                renderer.fillCircle(renderPos, this.radius + WEAPON_CHARGE_RING * this.charge, renderColor.setWithAlpha(PLAYER_COLOR, 0.4));
+            }
+            renderer.fillCircle(renderPos, this.radius, this.invulnerable() ? renderColor.setWithAlpha(PLAYER_COLOR, 0.5) : PLAYER_COLOR);
+            if (this.powerUps.has(POWER_UPS.Shield)) {
+                const shield = POWER_UPS.Shield;
+                renderer.fillCircle(renderPos, shield.radius, renderColor.setWithAlpha(shield.color, 0.2), shield.style);
+            }
+        }
+    }
+
+    // dir is where the player is steered, no longer than 1. The player
+    // speeds up towards topSpeed times its length in that direction and slows down
+    // to a stop once no key is pressed. A dash ignores both for its duration.
+    update(dt, dir, topSpeed) {
+        this.trail.push(this.pos);
+        if (this.dashTime > 0.0) {
+            this.dashTrail.push(this.pos);
+        }
+        this.dashTime -= dt;
+        this.dashCooldown -= dt;
+        this.invulnerability -= dt;
+
+        if (this.dashTime <= 0.0) {
+            const rate = dir.len() > 0 ? PLAYER_ACCELERATION : PLAYER_FRICTION;
+            playerSteer.copy(dir).scaleAssign(topSpeed).subAssign(this.vel);
+            const change = playerSteer.len();
+            if (change > rate * dt) {
+                playerSteer.scaleAssign(rate * dt / change);
+            }
+            this.vel.addAssign(playerSteer);
+        }
+
+        this.prevPos.copy(this.pos);
+        this.pos.addScaled(this.vel, dt);
+        this.trail.update(dt);
+        this.dashTrail.update(dt);
+        this.radius = Math.min(this.radius + PLAYER_SPAWN_ANIMATION_SPEED * dt, PLAYER_RADIUS);
+
+        this.fireCooldown -= dt;
+        this.holdCooldown -= dt;
+        if (this.charge !== null) {
+            this.charge = Math.min(this.charge + dt / this.weapon.chargeTime, 1.0);
+        }
+
+        for (let [powerUp, left] of this.powerUps) {
+            if (left > dt) {
+                this.powerUps.set(powerUp, left - dt);
+            } else {
+                this.powerUps.delete(powerUp);
+            }
+        }
+    }
+
+    // Picking up one that is already in effect starts it over
+    powerUp(powerUp) {
+        this.powerUps.set(powerUp, powerUp.duration);
+    }
+
+    // Returns false if the dash is still cooling down
+    dash(dir) {
+        if (this.dashCooldown > 0.0 || dir.len() == 0) {
+            return false;
+        }
+        this.vel.copy(dir).normalizeAssign().scaleAssign(PLAYER_DASH_SPEED);
+        this.dashTime = PLAYER_DASH_DURATION;
+        this.dashCooldown = PLAYER_DASH_COOLDOWN;
+        this.invulnerability = Math.max(this.invulnerability, PLAYER_DASH_INVULNERABILITY);
+        return true;
+    }
+
+    // Enemies and bullets go right through the player
+    invulnerable() {
+        return this.invulnerability > 0.0;
+    }
+
+    switchWeapon(index) {
+        this.weaponIndex = (index + WEAPONS.length) % WEAPONS.length;
+        this.weapon = WEAPONS[this.weaponIndex];
+        this.fireCooldown = WEAPON_SWITCH_COOLDOWN;
+        this.charge = null;
+    }
+
+    canFire() {
+        return this.fireCooldown <= 0.0;
+    }
+
+    // Whether holding the button down fires another volley
+    canHoldFire() {
+        const weapon = this.weapon;
+        const holds = weapon.mode == FireMode.Automatic || (weapon.mode == FireMode.Single && weapon.holdFireRate !== undefined);
+        return holds && this.canFire() && this.holdCooldown <= 0.0;
+    }
+
+    // Fires a volley of the current weapon at target. charge is how far a
+    // charge weapon got, 1.0 for the others.
+    shootAt(target, charge, random, bullets, pool) {
+        const weapon = this.weapon;
+        this.shootCount += 1;
+        this.fireCooldown = 1.0 / weapon.fireRate;
+        this.holdCooldown = 1.0 / (weapon.holdFireRate ?? weapon.fireRate);
+
+        const aim = Math.atan2(target.y - this.pos.y, target.x - this.pos.x);
+        const radius = lerp(BULLET_RADIUS, weapon.radius, charge);
+        const multiShot = this.powerUps.has(POWER_UPS.MultiShot) ? POWER_UPS.MultiShot : null;
+        const sides = multiShot?.sides ?? 0;
+        for (let i = 0; i < weapon.pellets * (2 * sides + 1); ++i) {
+            const pellet = i % weapon.pellets;
+            const side = Math.floor(i / weapon.pellets) - sides;
+            let dir = aim + side * (multiShot?.angle ?? 0.0);
+            if (weapon.pellets > 1) {
+                dir += weapon.spread * (pellet / (weapon.pellets - 1) - 0.5);
+            }
+            if (weapon.jitter > 0.0) {
+                dir += random.between(-weapon.jitter, weapon.jitter);
+            }
+
+            playerBulletPos.setPolar(PLAYER_RADIUS + radius, dir).addAssign(this.pos);
+            playerBulletVel.setPolar(weapon.speed, dir);
+            const bullet = pool.acquire().reset(playerBulletPos, playerBulletVel, radius);
+            bullet.lifetime = weapon.lifetime;
+            bullet.damage = Math.max(Math.round(weapon.damage * charge), 1);
+            bullet.pierce = Math.floor(weapon.pierce * charge);
+            bullet.homing = weapon.homing;
+            bullet.shot = this.shootCount;
+            bullets.push(bullet);
+        }
+    }
+
+    damage(value) {
+        this.health = Math.max(this.health - value, 0.0);
+    }
+
+    heal(value) {
+        if (this.health > 0.0) {
+            this.health = Math.min(this.health + value, PLAYER_MAX_HEALTH);
+        }
+    }
+}
+
+// Scratch vectors of Game. Everything they are passed to copies them.
+const spawnPos = new V2(0, 0);
+const spawnDir = new V2(0, 0);
+const formationCenter = new V2(0, 0);
+const dashDir = new V2(0, 0);
+const stickAimPos = new V2(0, 0);
+
+// TODO(#8): the game stops when you unfocus the browser
+class Game {
+    // The new player spawns where the last one died, so the camera only has
+    // to settle back from the look-ahead instead of jumping across the world
+    restart() {
+        this.player = new Player(this.player?.pos ?? new V2(0, 0), this.storage);
+        this.score = 0;
+        // Seconds since the player died
+        this.deathTime = 0.0;
+        this.lowHealthBeep = 0.0;
+        // Where the mouse is relative to the center of the screen, in world
+        // units at a zoom of 1. The aim follows the camera with it.
+        this.mouseOffset = new V2(0, 0);
+        this.lookAhead = new V2(0, 0);
+        // World position the player aims at and whether the mouse button is
+        // down, for the automatic and charge weapons
+        this.aim = new V2(0, 0);
+        this.triggerHeld = false;
+        this.pressedKeys = new Set();
+        // How many of the buttons bound to each Action are down
+        this.heldActions = new Array(ACTION_NAMES.length).fill(0);
+        // Analog sticks with a length of at most 1
+        this.moveStick = new V2(0, 0);
+        this.aimStick = new V2(0, 0);
+        this.tutorial = new Tutorial(this.storage, this.tutorialMessages());
+        this.bulletPool.releaseAll(this.bullets);
+        this.bulletPool.releaseAll(this.enemyBullets);
+        this.enemyPool.releaseAll(this.enemies);
+        this.particlePool.releaseAll(this.particles);
+        this.pickupPool.releaseAll(this.pickups);
+        this.director = new WaveDirector(this.waves);
+        this.paused = false;
+        this.renderer.damage = 0.0;
+    }
+
+    constructor(renderer, seed, storage = new MemoryStorage(), waves = WAVES) {
+        this.renderer = renderer;
+        this.waves = waves;
+        this.bullets = [];
+        // Fired by the enemies at the player. Same pool as the player's.
+        this.enemyBullets = [];
+        this.enemies = [];
+        this.particles = [];
+        this.pickups = [];
+        this.bulletPool = new Pool(() => new Bullet());
+        this.enemyPool = new Pool(() => new Enemy());
+        this.particlePool = new Pool(() => new Particle());
+        this.pickupPool = new Pool(() => new Pickup());
+        this.bulletGrid = new SpatialHash(COLLISION_CELL_SIZE);
+        this.enemyGrid = new SpatialHash(COLLISION_CELL_SIZE);
+        this.collisionCandidates = [];
+        this.moveDir = new V2(0, 0);
+        // Whether the messages talk about touch controls instead of the
+        // keyboard and mouse. Only changes what is drawn.
+        this.touchHints = false;
+        this.storage = storage;
+        this.bindings = new Bindings(storage);
+        // Replaced by whoever wants to hear the game
+        this.audio = new NullAudioEngine();
+        // Action waiting for a button to be bound to it, null when not rebinding
+        this.rebinding = null;
+        this.random = new Random(seed);
+        this.frame = 0;
+        this.renderer.camera.reset();
+        this.restart();
+    }
+
+    update(dt) {
+        this.frame += 1;
+
+        if (this.paused) {
+            this.renderer.grayness = 1.0;
+            return;
+        } else {
+            this.renderer.grayness = 1.0 - this.player.health / PLAYER_MAX_HEALTH;
+        }
+        this.renderer.lowHealth = Math.max(1.0 - this.player.health / (PLAYER_MAX_HEALTH * PLAYER_LOW_HEALTH), 0.0);
+
+        // Beeps faster the closer to death
+        this.lowHealthBeep -= dt;
+        if (this.renderer.lowHealth > 0.0 && this.player.health > 0.0 && this.lowHealthBeep <= 0.0) {
+            this.audio.play(Sound.LowHealth);
+            this.lowHealthBeep = lerp(LOW_HEALTH_BEEP_SLOW, LOW_HEALTH_BEEP_FAST, this.renderer.lowHealth);
+        }
+
+        if (this.player.health <= 0.0) {
+            this.deathTime += dt;
+            dt *= lerp(1.0, PLAYER_DEATH_TIME_SCALE, Math.min(this.deathTime / PLAYER_DEATH_SLOWDOWN, 1.0));
+        }
+
+        // The camera centers on the explosion once the player is dead
+        const camera = this.renderer.camera;
+        if (this.player.health > 0.0) {
+            this.lookAhead.copy(this.aim).subAssign(this.player.pos).scaleAssign(CAMERA_LOOK_AHEAD);
+            if (this.lookAhead.len() > CAMERA_LOOK_AHEAD_MAX) {
+                this.lookAhead.normalizeAssign().scaleAssign(CAMERA_LOOK_AHEAD_MAX);
+            }
+        } else {
+            this.lookAhead.set(0, 0);
+        }
+        camera.follow(this.player.pos, this.lookAhead);
+        this.renderer.update(dt);
+        // The mouse stays put on the screen while the world moves under it
+        this.aim.copy(this.mouseOffset).scaleAssign(1 / camera.zoom).addAssign(camera.pos);
+
+        const moved = this.moveDirection();
+        if (moved) {
+            this.tutorial.playerMoved();
+        }
+        // A dead player drifts to a stop where it died
+        if (this.player.health <= 0.0) {
+            this.moveDir.set(0, 0);
+        }
+
+        let topSpeed = PLAYER_SPEED;
+        if (this.player.powerUps.has(POWER_UPS.Speed)) {
+            topSpeed *= POWER_UPS.Speed.speedFactor;
+        }
+        this.player.update(dt, this.moveDir, topSpeed);
+
+        if (this.aimStick.len() > 0) {
+            this.aim.copy(this.aimStick).normalizeAssign().scaleAssign(STICK_AIM_DISTANCE).addAssign(this.player.pos);
+            this.aimAt(this.aim);
+        }
+        if (this.triggerHeld && this.player.canHoldFire() && this.player.health > 0.0) {
+            this.shoot(1.0);
+        }
+
+        this.tutorial.update(dt);
+
+        this.bulletGrid.clear();
+        for (let bullet of this.bullets) {
+            this.bulletGrid.insert(bullet);
+        }
+
+        // Splitters add their shards to the end of the list while this goes
+        // through it, so the shards are checked too
+        for (let enemy of this.enemies) {
+            if (enemy.collides()) {
+                const bullets = this.bulletGrid.query(enemy.pos, BULLET_MAX_RADIUS + enemy.archetype.radius, this.collisionCandidates);
+                for (let bullet of bullets) {
+                    // A bullet is spent on the first enemy it hits unless it pierces
+                    if (enemy.collides() && bullet.lifetime > 0.0 && bullet.lastHit !== enemy &&
+                        enemy.pos.dist(bullet.pos) <= bullet.radius + enemy.archetype.radius) {
+                        // Accuracy counts volleys that hit anything, so a
+                        // shotgun blast or a piercing bullet counts once
+                        if (bullet.shot !== null) {
+                            this.player.accuracy += 1;
+                            const shot = bullet.shot;
+                            for (let other of this.bullets) {
+                                if (other.shot === shot) {
+                                    other.shot = null;
+                                }
+                            }
+                        }
+                        bullet.lastHit = enemy;
+                        if (bullet.pierce > 0) {
+                            bullet.pierce -= 1;
+                        } else {
+                            bullet.lifetime = 0.0;
+                        }
+                        if (enemy.hit(bullet.damage)) {
+                            this.killEnemy(enemy);
+                        }
+                    }
+                }
+            }
+        }
+
+        this.enemyGrid.clear();
+        for (let enemy of this.enemies) {
+            if (enemy.collides()) {
+                this.enemyGrid.insert(enemy);
+            }
+        }
+
+        const enemies = this.enemyGrid.query(this.player.pos, PLAYER_RADIUS + ENEMY_MAX_RADIUS, this.collisionCandidates);
+        for (let enemy of enemies) {
+            if (this.player.health > 0.0 && !this.player.invulnerable() && !enemy.ded) {
+                if (enemy.pos.dist(this.player.pos) <= PLAYER_RADIUS + enemy.archetype.radius) {
+                    if (enemy.archetype.behavior != EnemyBehavior.Boss) {
+                        this.damagePlayer(enemy.archetype.damage);
+                        enemy.ded = true;
+                        particleBurst(this.random, this.particles, this.particlePool, enemy.pos, PLAYER_COLOR);
+                    } else if (enemy.contactCooldown <= 0.0) {
+                        this.damagePlayer(enemy.archetype.damage);
+                        enemy.contactCooldown = BOSS_CONTACT_COOLDOWN;
+                    }
+                }
+            }
+        }
+
+        for (let bullet of this.enemyBullets) {
+            if (this.player.health > 0.0 && !this.player.invulnerable() && bullet.pos.dist(this.player.pos) <= PLAYER_RADIUS + bullet.radius) {
+                this.damagePlayer(ENEMY_BULLET_DAMAGE);
+                bullet.lifetime = 0.0;
+            }
+        }
+
+        for (let pickup of this.pickups) {
+            if (this.player.health > 0.0 && pickup.lifetime > 0.0 && pickup.pos.dist(this.player.pos) <= PLAYER_RADIUS + PICKUP_RADIUS) {
+                pickup.lifetime = 0.0;
+                this.collectPickup(pickup);
+            }
+        }
+
+        // The more enemies around the player the further the camera zooms out
+        let nearbyEnemies = 0;
+        for (let enemy of this.enemyGrid.query(this.player.pos, CAMERA_DENSITY_RADIUS, this.collisionCandidates)) {
+            if (!enemy.ded && enemy.pos.dist(this.player.pos) <= CAMERA_DENSITY_RADIUS) {
+                nearbyEnemies += 1;
+            }
+        }
+        camera.zoomTo(lerp(1.0, CAMERA_MIN_ZOOM, Math.min(nearbyEnemies / CAMERA_DENSITY_MAX_COUNT, 1.0)));
+        // and the busier the music gets. It dies down with the player.
+        if (this.player.health > 0.0) {
+            const missingHealth = 1.0 - this.player.health / PLAYER_MAX_HEALTH;
+            this.audio.setIntensity(Math.min(nearbyEnemies / MUSIC_MAX_ENEMIES + missingHealth * MUSIC_HEALTH_INTENSITY, 1.0));
+        } else {
+            this.audio.setIntensity(0.0);
+        }
+
+        for (let bullet of this.bullets) {
+            if (bullet.homing > 0.0) {
+                const target = this.closestEnemy(bullet.pos, BULLET_HOMING_RANGE);
+                if (target !== null) {
+                    bullet.steerTowards(target.pos, dt);
+                }
+            }
+            bullet.update(dt);
+        }
+        removeDead(this.bullets, bullet => bullet.lifetime > 0.0, this.bulletPool);
+
+        // Everything hostile moves slower while time is slowed down
+        const enemyDt = this.player.powerUps.has(POWER_UPS.TimeSlow) ? dt * POWER_UPS.TimeSlow.factor : dt;
+
+        for (let bullet of this.enemyBullets) {
+            bullet.update(enemyDt);
+        }
+        removeDead(this.enemyBullets, bullet => bullet.lifetime > 0.0, this.bulletPool);
+
+        for (let particle of this.particles) {
+            particle.update(dt);
+        }
+        removeDead(this.particles, particle => particle.lifetime > 0.0, this.particlePool);
+
+        for (let pickup of this.pickups) {
+            pickup.update(dt);
+        }
+        removeDead(this.pickups, pickup => pickup.lifetime > 0.0, this.pickupPool);
+
+        for (let enemy of this.enemies) {
+            enemy.update(enemyDt, this.player.pos);
+            if (this.player.health > 0.0 && enemy.readyToFire()) {
+                this.enemyBullets.push(enemy.fireAt(this.player.pos, this.bulletPool.acquire()));
+            }
+            const attack = enemy.takeAttack();
+            if (this.player.health > 0.0 && attack !== null) {
+                this.bossAttack(enemy, attack);
+            }
+            if (enemy.dying !== null) {
+                this.updateBossDeath(enemy);
+            }
+        }
+        // Bosses follow the player wherever it goes instead of despawning
+        removeDead(this.enemies, enemy => {
+            return !enemy.ded && (enemy.archetype.behavior == EnemyBehavior.Boss || enemy.pos.dist(this.player.pos) < ENEMY_DESPAWN_DISTANCE);
+        }, this.enemyPool);
+
+        if (this.tutorial.state == TutorialState.Finished) {
+            this.director.update(dt, this);
+        }
+    }
+
+    renderEntities(entities, alpha) {
+        for (let entity of entities) {
+            entity.render(this.renderer, alpha);
+        }
+    }
+
+    // alpha is how far the wall clock is between the last two simulation
+    // steps. Everything is drawn that fraction of the way from its previous
+    // position to its current one. overlay is anything else with a
+    // render(renderer) to draw on top of the HUD, like on-screen controls.
+    render(alpha = 1.0, overlay = null) {
+        if (this.paused) {
+            alpha = 1.0;
+        }
+
+        this.renderer.setInterpolation(alpha);
+        this.renderer.clear();
+
+        this.renderer.background();
+        this.player.render(this.renderer, alpha);
+
+        this.renderEntities(this.bullets, alpha);
+        this.renderEntities(this.enemyBullets, alpha);
+        this.renderEntities(this.particles, alpha);
+        this.renderEntities(this.pickups, alpha);
+        this.renderEntities(this.enemies, alpha);
+
+        if (this.rebinding !== null) {
+            const action = this.rebinding;
+            this.renderer.fillMessage(`PRESS A KEY OR BUTTON FOR ${actionLabel(action)}\n(ESCAPE to keep ${this.bindings.describe(action)})`, MESSAGE_COLOR);
+        } else if (this.paused) {
+            this.renderer.fillMessage(`PAUSED (${this.touchHints ? "TAP" : this.bindings.describe(Action.Pause)} to resume)`, MESSAGE_COLOR);
+        } else if(this.player.health <= 0.0) {
+            if (this.deathTime >= PLAYER_DEATH_MESSAGE_DELAY) {
+                const accuracy = Math.ceil(100 * this.player.accuracy / Math.max(this.player.shootCount, 1.0));
+                this.renderer.fillMessage(`YOUR SCORE: ${this.score}\nACCURACY: ${accuracy}%\n(${this.touchHints ? "TAP" : this.bindings.describe(Action.Restart)} to restart)`, MESSAGE_COLOR);
+            }
+        } else {
+            this.tutorial.render(this.renderer);
+            if (this.tutorial.state == TutorialState.Finished) {
+                this.director.render(this.renderer);
+                this.renderHud();
+            }
+        }
+
+        if (this.crosshairVisible()) {
+            this.renderCrosshair();
+        }
+
+        overlay?.render(this.renderer);
+        this.renderer.present();
+    }
+
+    // Touch screens have nothing to point with
+    crosshairVisible() {
+        return !this.touchHints && !this.paused && this.rebinding === null && this.player.health > 0.0;
+    }
+
+    // Where the mouse is in the interpolated view, so it does not lag
+    // behind the cursor
+    renderCrosshair() {
+        const camera = this.renderer.camera;
+        renderPos.copy(this.mouseOffset).scaleAssign(1 / camera.viewZoom).addAssign(camera.viewPos);
+        this.renderer.fillCircle(renderPos, CROSSHAIR_RADIUS, renderColor.setWithAlpha(CROSSHAIR_COLOR, 0.0), CROSSHAIR_STYLE);
+        this.renderer.fillCircle(renderPos, CROSSHAIR_DOT_RADIUS, CROSSHAIR_COLOR);
+    }
+
+    // Everything under the wave number: the weapon, the power-ups in effect
+    // with how much time they have left and the health bars of the bosses
+    renderHud() {
+        let y = WEAPON_HUD_Y;
+        this.renderer.fillHudText(`${this.player.weaponIndex + 1} ${this.player.weapon.name}`, HUD_MARGIN, y, HUD_COLOR);
+        y += HUD_LINE_HEIGHT;
+
+        for (let [powerUp, left] of this.player.powerUps) {
+            this.renderer.fillHudText(`${powerUp.label} ${Math.ceil(left)}`, HUD_MARGIN, y, powerUp.color);
+            y += HUD_LINE_HEIGHT;
+            this.renderer.fillHudRect(HUD_MARGIN, y, POWER_UP_BAR_WIDTH * left / powerUp.duration, POWER_UP_BAR_HEIGHT, powerUp.color);
+            y += POWER_UP_BAR_HEIGHT + HUD_MARGIN / 2;
+        }
+
+        this.renderBossBars(y + HUD_MARGIN);
+    }
+
+    // Name and health of every boss around, stacked from y down. The marks on
+    // a bar are where the boss changes phase.
+    renderBossBars(y) {
+        for (let enemy of this.enemies) {
+            const archetype = enemy.archetype;
+            if (enemy.ded || archetype.behavior != EnemyBehavior.Boss) {
+                continue;
+            }
+
+            this.renderer.fillHudText(archetype.name, HUD_MARGIN, y, HUD_COLOR);
+            y += BOSS_BAR_LABEL_HEIGHT;
+            this.renderer.fillHudRect(HUD_MARGIN, y, BOSS_BAR_WIDTH, BOSS_BAR_HEIGHT, BOSS_BAR_BACKGROUND_COLOR);
+            this.renderer.fillHudRect(HUD_MARGIN, y, BOSS_BAR_WIDTH * Math.max(enemy.health, 0) / archetype.health, BOSS_BAR_HEIGHT, archetype.color);
+            for (let phase of archetype.phases) {
+                if (phase.until > 0.0) {
+                    this.renderer.fillHudRect(HUD_MARGIN + BOSS_BAR_WIDTH * phase.until - BOSS_BAR_MARK_WIDTH / 2, y, BOSS_BAR_MARK_WIDTH, BOSS_BAR_HEIGHT, HUD_COLOR);
+                }
+            }
+            y += BOSS_BAR_HEIGHT + HUD_MARGIN;
+        }
+    }
+
+    // Sets moveDir to the unit vector the pressed movement keys add up to,
+    // or to the move stick if none of them is pressed. Returns false if the
+    // player is not trying to move.
+    moveDirection() {
+        this.moveDir.set(0, 0);
+        let moved = false;
+        for (let [action, dir] of ACTION_DIRECTIONS) {
+            if (this.heldActions[action] > 0) {
+                this.moveDir.addAssign(dir);
+                moved = true;
+            }
+        }
+        this.moveDir.normalizeAssign();
+        if (!moved && this.moveStick.len() > 0) {
+            this.moveDir.copy(this.moveStick);
+            moved = true;
+        }
+        return moved;
+    }
+
+    // Only looks at the enemies that were in the enemy grid this update
+    closestEnemy(pos, range) {
+        let closest = null;
+        let closestDist = range;
+        for (let enemy of this.enemyGrid.query(pos, range, this.collisionCandidates)) {
+            const dist = enemy.pos.dist(pos);
+            if (enemy.collides() && dist <= closestDist) {
+                closest = enemy;
+                closestDist = dist;
+            }
+        }
+        return closest;
+    }
+
+    // archetype null picks one by spawn weight for every enemy
+    spawnEnemy(pos, archetype) {
+        this.enemies.push(this.enemyPool.acquire().reset(pos, archetype ?? pickEnemyArchetype(this.random)));
+    }
+
+    // Places the enemies of a formation ENEMY_SPAWN_DISTANCE away from the player
+    spawnFormation(archetype, formation, count) {
+        const dir = this.random.angle();
+        const center = formationCenter.setPolar(ENEMY_SPAWN_DISTANCE, dir).addAssign(this.player.pos);
+        switch (formation) {
+        case Formation.Scattered:
+            for (let i = 0; i < count; ++i) {
+                this.spawnEnemy(spawnPos.setPolar(ENEMY_SPAWN_DISTANCE, i == 0 ? dir : this.random.angle()).addAssign(this.player.pos), archetype);
+            }
+            break;
+
+        case Formation.Ring:
+            for (let i = 0; i < count; ++i) {
+                this.spawnEnemy(spawnPos.setPolar(ENEMY_SPAWN_DISTANCE, dir + 2 * Math.PI * i / count).addAssign(this.player.pos), archetype);
+            }
+            break;
+
+        case Formation.Line: {
+            const across = spawnDir.setPolar(FORMATION_SPACING, dir + Math.PI / 2);
+            for (let i = 0; i < count; ++i) {
+                this.spawnEnemy(spawnPos.copy(center).addScaled(across, i - (count - 1) / 2), archetype);
+            }
+        } break;
+
+        case Formation.Cluster:
+            for (let i = 0; i < count; ++i) {
+                this.spawnEnemy(spawnPos.setPolar(this.random.between(0, FORMATION_CLUSTER_RADIUS), this.random.angle()).addAssign(center), archetype);
+            }
+            break;
+
+        default:
+            throw new Error(`Unknown formation ${formation}`);
+        }
+    }
+
+    killEnemy(enemy) {
+        const archetype = enemy.archetype;
+        this.score += archetype.score;
+        this.renderer.camera.addTrauma(CAMERA_TRAUMA_KILL);
+        this.audio.play(Sound.EnemyDeath);
+        particleBurst(this.random, this.particles, this.particlePool, enemy.pos, archetype.color);
+
+        // updateBossDeath() finishes it off
+        if (archetype.behavior == EnemyBehavior.Boss) {
+            enemy.startDying();
+            this.player.heal(BOSS_KILL_HEAL);
+            return;
+        }
+
+        enemy.ded = true;
+        this.player.heal(ENEMY_KILL_HEAL);
+        if (this.random.next() < PICKUP_DROP_CHANCE) {
+            this.pickups.push(this.pickupPool.acquire().reset(enemy.pos, pickPowerUp(this.random)));
+        }
+
+        if (archetype.splitInto !== undefined) {
+            const shard = ENEMY_ARCHETYPES[archetype.splitInto];
+            const angle = this.random.angle();
+            for (let i = 0; i < archetype.splitCount; ++i) {
+                const dir = angle + 2 * Math.PI * i / archetype.splitCount;
+                this.enemies.push(this.enemyPool.acquire().reset(spawnPos.setPolar(archetype.radius, dir).addAssign(enemy.pos), shard));
+            }
+        }
+    }
+
+    bossAttack(enemy, attack) {
+        const archetype = enemy.archetype;
+        const angle = this.random.angle();
+        switch (attack) {
+        case BossAttack.Ring:
+            for (let i = 0; i < archetype.ringCount; ++i) {
+                const dir = spawnDir.setPolar(1, angle + 2 * Math.PI * i / archetype.ringCount);
+                const pos = spawnPos.copy(enemy.pos).addScaled(dir, archetype.radius + ENEMY_BULLET_RADIUS);
+                this.enemyBullets.push(this.bulletPool.acquire().reset(pos, dir.scaleAssign(ENEMY_BULLET_SPEED), ENEMY_BULLET_RADIUS, ENEMY_BULLET_COLOR));
+            }
+            break;
+
+        case BossAttack.Summon: {
+            const minion = ENEMY_ARCHETYPES[archetype.summon];
+            for (let i = 0; i < archetype.summonCount; ++i) {
+                const dir = angle + 2 * Math.PI * i / archetype.summonCount;
+                this.spawnEnemy(spawnPos.setPolar(archetype.radius + minion.radius * 2, dir).addAssign(enemy.pos), minion);
+            }
+        } break;
+
+        default:
+            throw new Error(`Unknown boss attack ${attack}`);
+        }
+    }
+
+    // Explosions all over a dying boss and a big one once it is done
+    updateBossDeath(enemy) {
+        const archetype = enemy.archetype;
+        if (enemy.dying > 0.0) {
+            if (enemy.deathBurstCooldown <= 0.0) {
+                enemy.deathBurstCooldown = BOSS_DEATH_BURST_INTERVAL;
+                enemy.hitFlash = ENEMY_HIT_FLASH_DURATION;
+                const center = spawnPos.setPolar(this.random.between(0, archetype.radius), this.random.angle()).addAssign(enemy.pos);
+                particleBurst(this.random, this.particles, this.particlePool, center, archetype.color);
+                this.renderer.camera.addTrauma(CAMERA_TRAUMA_KILL);
+            }
+            return;
+        }
+
+        enemy.ded = true;
+        for (let i = 0; i < BOSS_DEATH_FINAL_BURSTS; ++i) {
+            particleBurst(this.random, this.particles, this.particlePool, enemy.pos, i % 2 == 0 ? archetype.color : ENEMY_HIT_COLOR);
+        }
+        this.renderer.camera.addTrauma(1.0);
+
+        for (let i = 0; i < PICKUP_BOSS_DROPS; ++i) {
+            const pos = spawnPos.setPolar(archetype.radius / 2, 2 * Math.PI * i / PICKUP_BOSS_DROPS).addAssign(enemy.pos);
+            this.pickups.push(this.pickupPool.acquire().reset(pos, pickPowerUp(this.random)));
+        }
+    }
+
+    collectPickup(pickup) {
+        const powerUp = pickup.powerUp;
+        particleBurst(this.random, this.particles, this.particlePool, pickup.pos, powerUp.color);
+        if (powerUp === POWER_UPS.Bomb) {
+            this.detonateBomb(powerUp);
+        } else {
+            this.player.powerUp(powerUp);
+        }
+    }
+
+    detonateBomb(bomb) {
+        // Shards split off by the kills are pushed onto the list and caught
+        // by the blast as well
+        for (let enemy of this.enemies) {
+            if (enemy.collides() && enemy.pos.dist(this.player.pos) <= bomb.radius) {
+                const damage = enemy.archetype.behavior == EnemyBehavior.Boss ? bomb.bossDamage : enemy.health;
+                if (enemy.hit(damage)) {
+                    this.killEnemy(enemy);
+                }
+            }
+        }
+        for (let bullet of this.enemyBullets) {
+            if (bullet.pos.dist(this.player.pos) <= bomb.radius) {
+                bullet.lifetime = 0.0;
+            }
+        }
+        this.renderer.camera.addTrauma(1.0);
+    }
+
+    damagePlayer(value) {
+        if (this.player.powerUps.has(POWER_UPS.Shield)) {
+            return;
+        }
+        this.player.damage(value);
+        this.renderer.flashDamage();
+        this.audio.play(Sound.PlayerDamage);
+        this.renderer.camera.addTrauma(CAMERA_TRAUMA_HIT);
+        if (this.player.health <= 0.0) {
+            for (let i = 0; i < PLAYER_DEATH_BURSTS; ++i) {
+                particleBurst(this.random, this.particles, this.particlePool, this.player.pos, i % 2 == 0 ? PLAYER_COLOR : ENEMY_HIT_COLOR);
+            }
+            this.renderer.camera.addTrauma(1.0);
+            this.player.trail.disabled = true;
+            this.player.dashTrail.disabled = true;
+            for (let enemy of this.enemies) {
+                enemy.trail.disabled = true;
+            }
+        }
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+        this.audio.play(this.paused ? Sound.Pause : Sound.Unpause);
+    }
+
+    blur() {
+        // The button may come up while the window is not looking
+        this.triggerHeld = false;
+        this.player.charge = null;
+        this.pressedKeys.clear();
+        this.heldActions.fill(0);
+        this.moveStick.set(0, 0);
+        this.aimStick.set(0, 0);
+        if (this.player.health > 0.0) {
+            this.paused = true;
+        }
+    }
+
+    // Held down keys repeat, so only the first press counts
+    keyDown(event) {
+        if (this.pressedKeys.has(event.code)) {
+            return;
+        }
+        this.pressedKeys.add(event.code);
+        // Letting go of it later does nothing since the action it is bound
+        // to now was never held
+        if (this.rebinding !== null) {
+            if (event.code == REBIND_SKIP_KEY) {
+                this.rebindNext();
+            } else {
+                this.rebind("keyboard", event.code);
+            }
+            return;
+        }
+
+        const weapon = WEAPONS.findIndex(weapon => weapon.key == event.code);
+        if (weapon >= 0) {
+            this.player.switchWeapon(weapon);
+        }
+        this.buttonDown("keyboard", event.code);
+    }
+
+    keyUp(event) {
+        if (this.pressedKeys.delete(event.code)) {
+            this.buttonUp("keyboard", event.code);
+        }
+    }
+
+    gamepadDown(event) {
+        if (this.rebinding !== null) {
+            this.rebind("gamepad", event.button);
+        } else {
+            this.buttonDown("gamepad", event.button);
+        }
+    }
+
+    gamepadUp(event) {
+        this.buttonUp("gamepad", event.button);
+    }
+
+    buttonDown(device, code) {
+        for (let action of this.bindings.actions(device, code)) {
+            this.actionDown(action);
+        }
+    }
+
+    buttonUp(device, code) {
+        for (let action of this.bindings.actions(device, code)) {
+            this.actionUp(action);
+        }
+    }
+
+    // Only the first of the buttons bound to an action that goes down
+    // does anything
+    actionDown(action) {
+        this.heldActions[action] += 1;
+        if (this.heldActions[action] > 1) {
+            return;
+        }
+
+        const alive = this.player.health > 0.0;
+        switch (action) {
+        case Action.Fire:
+            this.pressTrigger();
+            break;
+        // Towards the movement keys, or the aim if none is pressed
+        case Action.Dash:
+            if (alive && !this.paused) {
+                this.player.dash(this.moveDirection() ? this.moveDir : dashDir.copy(this.aim).subAssign(this.player.pos));
+            }
+            break;
+        case Action.PreviousWeapon:
+            this.player.switchWeapon(this.player.weaponIndex - 1);
+            break;
+        case Action.NextWeapon:
+            this.player.switchWeapon(this.player.weaponIndex + 1);
+            break;
+        case Action.Pause:
+            if (alive) {
+                this.togglePause();
+            }
+            break;
+        // Only once the score is up, so a press meant for something else
+        // right as the player dies does not skip it
+        case Action.Restart:
+            if (!alive && this.deathTime >= PLAYER_DEATH_MESSAGE_DELAY) {
+                this.restart();
+            }
+            break;
+        }
+    }
+
+    actionUp(action) {
+        if (this.heldActions[action] == 0) {
+            return;
+        }
+        this.heldActions[action] -= 1;
+        if (this.heldActions[action] == 0 && action == Action.Fire) {
+            this.releaseTrigger();
+        }
+    }
+
+    // Asks for a button for every Action in turn. Paused meanwhile so
+    // nothing happens while the player looks for the keys.
+    startRebinding() {
+        this.blur();
+        this.rebinding = 0;
+    }
+
+    rebind(device, code) {
+        this.bindings.bind(device, this.rebinding, code);
+        this.rebindNext();
+    }
+
+    rebindNext() {
+        this.rebinding += 1;
+        if (this.rebinding >= ACTION_NAMES.length) {
+            this.rebinding = null;
+            this.tutorial.setMessages(this.tutorialMessages());
+        }
+    }
+
+    useBindingPreset(name) {
+        this.bindings.usePreset(name);
+        this.tutorial.setMessages(this.tutorialMessages());
+    }
+
+    tutorialMessages() {
+        if (this.touchHints) {
+            return TouchTutorialMessages;
+        }
+        return [this.bindings.moveHint(), ...TutorialMessages.slice(1)];
+    }
+
+    aimAt(pos) {
+        const camera = this.renderer.camera;
+        this.aim.copy(pos);
+        this.mouseOffset.copy(pos).subAssign(camera.pos).scaleAssign(camera.zoom);
+    }
+
+    mouseMove(event) {
+        this.aimAt(event.pos);
+    }
+
+    mouseDown(event) {
+        if (this.rebinding !== null) {
+            this.rebind("mouse", event.button);
+            return;
+        }
+        this.aimAt(event.pos);
+        this.buttonDown("mouse", event.button);
+    }
+
+    mouseUp(event) {
+        this.aimAt(event.pos);
+        this.buttonUp("mouse", event.button);
+    }
+
+    moveAxis(event) {
+        this.moveStick.copy(event.axis);
+    }
+
+    // Aims right away so a trigger pulled at the same time fires the right way
+    aimAxis(event) {
+        this.aimStick.copy(event.axis);
+        if (this.aimStick.len() > 0) {
+            this.aimAt(stickAimPos.copy(this.aimStick).scaleAssign(STICK_AIM_DISTANCE / this.aimStick.len()).addAssign(this.player.pos));
+        }
+    }
+
+    // Fires at aim right away unless the weapon charges up first
+    pressTrigger() {
+        this.triggerHeld = true;
+
+        if (this.paused) {
+            return;
+        }
+
+        if (this.player.health <= 0.0) {
+            return;
+        }
+
+        this.tutorial.playerShot();
+        if (!this.player.canFire()) {
+            return;
+        }
+        if (this.player.weapon.mode == FireMode.Charge) {
+            this.player.charge = 0.0;
+        } else {
+            this.shoot(1.0);
+        }
+    }
+
+    // Lets go of a charged up shot
+    releaseTrigger() {
+        this.triggerHeld = false;
+
+        const charge = this.player.charge;
+        this.player.charge = null;
+        if (charge !== null && !this.paused && this.player.health > 0.0) {
+            this.shoot(charge);
+        }
+    }
+
+    shoot(charge) {
+        this.player.shootAt(this.aim, charge, this.random, this.bullets, this.bulletPool);
+        this.audio.play(Sound.Shoot);
+    }
+
+    useTouchHints() {
+        this.touchHints = true;
+        this.tutorial.setMessages(this.tutorialMessages());
+    }
+}
+
+// Every input the Game receives goes through applyInput() as a (type, args)
+// pair. Mouse positions are already in world space so a replay does not
+// depend on the window size or the camera interpolation of the machine that
+// plays it back.
+const InputType = Object.freeze({
+    "KeyDown": 0,
+    "KeyUp": 1,
+    "MouseDown": 2,
+    "MouseMove": 3,
+    "Blur": 4,
+    "MouseUp": 5,
+    // Analog sticks. args are the x and y of the stick from -1 to 1.
+    "MoveAxis": 6,
+    "AimAxis": 7,
+    // An Action straight away, for controls that have no Bindings like the
+    // touch screen. args is the Action.
+    "ActionDown": 8,
+    "ActionUp": 9,
+    // args is the index of the button in the "standard" gamepad mapping
+    "GamepadDown": 10,
+    "GamepadUp": 11,
+    // Asks for new bindings for every Action, see Game.startRebinding()
+    "Rebind": 12,
+    // args is the name of one of BINDING_PRESETS
+    "BindingPreset": 13,
+});
+
+// Shared by every applyInput(). Game copies whatever it keeps of an event.
+const inputEvent = {code: "", pos: new V2(0, 0), button: 0, axis: new V2(0, 0)};
+
+function applyInput(game, type, args) {
+    const event = inputEvent;
+    switch (type) {
+    case InputType.KeyDown: event.code = args[0]; game.keyDown(event); break;
+    case InputType.KeyUp: event.code = args[0]; game.keyUp(event); break;
+    case InputType.MouseDown: event.pos.set(args[0], args[1]); event.button = args[2] ?? 0; game.mouseDown(event); break;
+    case InputType.MouseMove: event.pos.set(args[0], args[1]); game.mouseMove(event); break;
+    case InputType.Blur: game.blur(); break;
+    case InputType.MouseUp: event.pos.set(args[0], args[1]); event.button = args[2] ?? 0; game.mouseUp(event); break;
+    case InputType.MoveAxis: event.axis.set(args[0], args[1]); game.moveAxis(event); break;
+    case InputType.AimAxis: event.axis.set(args[0], args[1]); game.aimAxis(event); break;
+    case InputType.ActionDown: game.actionDown(args[0]); break;
+    case InputType.ActionUp: game.actionUp(args[0]); break;
+    case InputType.GamepadDown: event.button = args[0]; game.gamepadDown(event); break;
+    case InputType.GamepadUp: event.button = args[0]; game.gamepadUp(event); break;
+    case InputType.Rebind: game.startRebinding(); break;
+    case InputType.BindingPreset: game.useBindingPreset(args[0]); break;
+    default: throw new Error(`Unknown input type ${type}`);
+    }
+}
+
+const REPLAY_VERSION = 1;
+
+// A replay is the seed, the tutorial state and bindings the run started with
+// and the list of inputs. Each input is stored as [frameDelta, type, ...args] where
+// frameDelta is the number of simulation steps since the previous input.
+class ReplayRecorder {
+    events = [];
+    lastFrame = 0;
+
+    constructor(seed, tutorialState, waves = WAVES, bindings = null) {
+        this.seed = seed;
+        this.tutorialState = tutorialState;
+        this.waves = waves;
+        // A copy, rebinding later is one of the inputs
+        this.bindings = bindings === null ? undefined : JSON.parse(JSON.stringify(bindings));
+    }
+
+    record(frame, type, args) {
+        this.events.push([frame - this.lastFrame, type, ...args]);
+        this.lastFrame = frame;
+    }
+
+    serialize(frames) {
+        return JSON.stringify({
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            tutorial: this.tutorialState,
+            // Only custom waves are stored. The default ones are in the code.
+            waves: this.waves === WAVES ? undefined : this.waves,
+            bindings: this.bindings,
+            frames: frames,
+            events: this.events,
+        });
+    }
+}
+
+class ReplayPlayer {
+    cursor = 0;
+    nextFrame = 0;
+
+    constructor(replay) {
+        this.replay = replay;
+        if (replay.events.length > 0) {
+            this.nextFrame = replay.events[0][0];
+        }
+    }
+
+    static parse(text) {
+        const replay = JSON.parse(text);
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${replay.version}`);
+        }
+        return new ReplayPlayer(replay);
+    }
+
+    createGame(renderer) {
+        const storage = new MemoryStorage();
+        storage.setItem(LOCAL_STORAGE_TUTORIAL, this.replay.tutorial);
+        if (this.replay.bindings !== undefined) {
+            storage.setItem(LOCAL_STORAGE_BINDINGS, JSON.stringify(this.replay.bindings));
+        }
+        return new Game(renderer, this.replay.seed, storage, this.replay.waves ?? WAVES);
+    }
+
+    // Must be called right before every game.update() so the inputs land
+    // between the same simulation steps they were recorded between.
+    dispatch(game) {
+        const events = this.replay.events;
+        while (this.cursor < events.length && this.nextFrame <= game.frame) {
+            const [, type, ...args] = events[this.cursor];
+            applyInput(game, type, args);
+            this.cursor += 1;
+            if (this.cursor < events.length) {
+                this.nextFrame += events[this.cursor][0];
+            }
+        }
+    }
+
+    finished(game) {
+        return this.cursor >= this.replay.events.length && game.frame >= this.replay.frames;
+    }
+}
+
+const BackgroundStyle = Object.freeze({
+    "HexGrid": 0,
+    "PulsingCells": 1,
+    "Starfield": 2,
+});
+
+// Smooth noise in [-1, 1] for the shake, different for every seed
+function shakeNoise(t, seed) {
+    return 0.5 * Math.sin(t * 1.0 + seed) +
+           0.3 * Math.sin(t * 2.3 + seed * 1.7) +
+           0.2 * Math.sin(t * 4.1 + seed * 2.9);
+}
+
+// Chases a focus point, shakes with trauma and zooms in and out. Zoom is
+// how many times bigger than normal the world is drawn. viewPos and viewZoom
+// are what the renderers draw with: the state interpolated for the current
+// frame, shake included.
+class Camera {
+    pos = new V2(0, 0);
+    prevPos = new V2(0, 0);
+    vel = new V2(0, 0);
+    viewPos = new V2(0, 0);
+    zoom = 1.0;
+    prevZoom = 1.0;
+    targetZoom = 1.0;
+    viewZoom = 1.0;
+    trauma = 0.0;
+    shake = new V2(0, 0);
+    time = 0.0;
+
+    // How far the focus can get from the center before the camera follows
+    deadzone = CAMERA_DEADZONE;
+    // The center stays within {min: V2, max: V2}. null is no bounds.
+    bounds = null;
+
+    reset() {
+        this.pos.set(0, 0);
+        this.prevPos.set(0, 0);
+        this.vel.set(0, 0);
+        this.viewPos.set(0, 0);
+        this.zoom = 1.0;
+        this.prevZoom = 1.0;
+        this.targetZoom = 1.0;
+        this.viewZoom = 1.0;
+        this.trauma = 0.0;
+        this.shake.set(0, 0);
+        this.time = 0.0;
+    }
+
+    // lookAhead shifts the focus away from the target
+    follow(target, lookAhead) {
+        const offset = this.vel.copy(target).addAssign(lookAhead).subAssign(this.pos);
+        const distance = offset.len();
+        if (distance <= this.deadzone) {
+            offset.set(0, 0);
+        } else {
+            offset.scaleAssign((distance - this.deadzone) / distance * CAMERA_FOLLOW_RATE);
+        }
+    }
+
+    zoomTo(zoom) {
+        this.targetZoom = zoom;
+    }
+
+    // amount is between 0.0 and 1.0. The shake grows with the square of the
+    // trauma so small hits barely move the screen.
+    addTrauma(amount) {
+        this.trauma = Math.min(this.trauma + amount, 1.0);
+    }
+
+    update(dt) {
+        this.time += dt;
+
+        this.prevPos.copy(this.pos);
+        this.pos.addScaled(this.vel, dt);
+        if (this.bounds !== null) {
+            this.pos.set(
+                Math.min(Math.max(this.pos.x, this.bounds.min.x), this.bounds.max.x),
+                Math.min(Math.max(this.pos.y, this.bounds.min.y), this.bounds.max.y));
+        }
+
+        this.prevZoom = this.zoom;
+        this.zoom += (this.targetZoom - this.zoom) * Math.min(CAMERA_ZOOM_RATE * dt, 1.0);
+
+        this.trauma = Math.max(this.trauma - CAMERA_TRAUMA_DECAY * dt, 0.0);
+        const shake = this.trauma * this.trauma * CAMERA_SHAKE_MAX_OFFSET;
+        const t = this.time * CAMERA_SHAKE_FREQUENCY;
+        this.shake.set(shake * shakeNoise(t, 0.0), shake * shakeNoise(t, 10.0));
+    }
+
+    setInterpolation(alpha) {
+        this.viewPos.setLerp(this.prevPos, this.pos, alpha).addAssign(this.shake);
+        this.viewZoom = lerp(this.prevZoom, this.zoom, alpha);
+    }
+}
+
+// The interface Game draws through. The camera is the same for every
+// renderer so it lives here; everything else has to be provided by the
+// concrete renderer. Callers reuse the vectors they pass in, so a renderer
+// that needs them after the call has to copy them.
+class Renderer {
+    camera = new Camera();
+    grayness = 0.0;
+    // 1.0 right after the player is hit, fading to 0.0
+    damage = 0.0;
+    // 0.0 above PLAYER_LOW_HEALTH, up to 1.0 close to death
+    lowHealth = 0.0;
+    backgroundStyle = BackgroundStyle.HexGrid;
+
+    setBackgroundStyle(style) {
+        this.backgroundStyle = style;
+    }
+
+    update(dt) {
+        this.camera.update(dt);
+        this.damage = Math.max(this.damage - dt / DAMAGE_EFFECT_DURATION, 0.0);
+    }
+
+    flashDamage() {
+        this.damage = 1.0;
+    }
+
+    setInterpolation(alpha) {
+        this.camera.setInterpolation(alpha);
+    }
+
+    // RENDERER INTERFACE //////////////////////////////
+    setTimestamp(timestamp) {
+        throw new Error(`${this.constructor.name}.setTimestamp() is not implemented`);
+    }
+
+    setViewport(width, height) {
+        throw new Error(`${this.constructor.name}.setViewport() is not implemented`);
+    }
+
+    present() {
+        throw new Error(`${this.constructor.name}.present() is not implemented`);
+    }
+
+    clear() {
+        throw new Error(`${this.constructor.name}.clear() is not implemented`);
+    }
+
+    background() {
+        throw new Error(`${this.constructor.name}.background() is not implemented`);
+    }
+
+    fillCircle(center, radius, color, style = null) {
+        throw new Error(`${this.constructor.name}.fillCircle() is not implemented`);
+    }
+
+    fillMessage(text, color) {
+        throw new Error(`${this.constructor.name}.fillMessage() is not implemented`);
+    }
+
+    // One left aligned line with its top left corner at x, y. Same units as
+    // the layout of fillMessage(): pixels at DEFAULT_RESOLUTION.
+    fillHudText(text, x, y, color) {
+        throw new Error(`${this.constructor.name}.fillHudText() is not implemented`);
+    }
+
+    // Same units as fillHudText()
+    fillHudRect(x, y, width, height, color) {
+        throw new Error(`${this.constructor.name}.fillHudRect() is not implemented`);
+    }
+
+    fillHudCircle(center, radius, color) {
+        throw new Error(`${this.constructor.name}.fillHudCircle() is not implemented`);
+    }
+
+    // From pixels on the page to the units of fillHudText()
+    screenToHud(point) {
+        throw new Error(`${this.constructor.name}.screenToHud() is not implemented`);
+    }
+
+    screenToWorld(point) {
+        throw new Error(`${this.constructor.name}.screenToWorld() is not implemented`);
+    }
+    ////////////////////////////////////////////////////////////
+}
+
+const Sound = Object.freeze({
+    "Shoot": 0,
+    "EnemyDeath": 1,
+    "PlayerDamage": 2,
+    "LowHealth": 3,
+    "Pause": 4,
+    "Unpause": 5,
+});
+
+// What Game plays its sounds through. Game only tells what happened, how it
+// sounds is up to the concrete engine.
+class AudioEngine {
+    // AUDIO INTERFACE //////////////////////////////
+    play(sound) {
+        throw new Error(`${this.constructor.name}.play() is not implemented`);
+    }
+
+    // How much is going on, from 0.0 when nothing is to 1.0. The music
+    // follows it.
+    setIntensity(intensity) {
+        throw new Error(`${this.constructor.name}.setIntensity() is not implemented`);
+    }
+    ////////////////////////////////////////////////////////////
+}
+
+class NullAudioEngine extends AudioEngine {
+    play(sound) {}
+    setIntensity(intensity) {}
+}
+
+// Keeps every sound played so far in played for tests
+class RecordingAudioEngine extends NullAudioEngine {
+    played = [];
+    intensity = 0.0;
+
+    play(sound) {
+        this.played.push(sound);
+    }
+
+    setIntensity(intensity) {
+        this.intensity = intensity;
+    }
+}
+
+// Draws nothing. The screen is treated as centered on the camera at one unit
+// per pixel before the zoom.
+class NullRenderer extends Renderer {
+    setTimestamp(timestamp) {}
+    setViewport(width, height) {}
+    present() {}
+    clear() {}
+    background() {}
+    fillCircle(center, radius, color, style = null) {}
+    fillMessage(text, color) {}
+    fillHudText(text, x, y, color) {}
+    fillHudRect(x, y, width, height, color) {}
+    fillHudCircle(center, radius, color) {}
+
+    screenToHud(point) {
+        return new V2(point.x, point.y);
+    }
+
+    screenToWorld(point) {
+        return point.scale(1 / this.camera.viewZoom).add(this.camera.viewPos);
+    }
+}
+
+// Keeps every draw call of the current frame in displayList so tests can
+// check what a frame would look like without a canvas. clear() starts a new
+// frame. Positions are world coordinates and colors are copies of what the
+// caller passed, with grayness being the value at the time of the call.
+class RecordingRenderer extends NullRenderer {
+    displayList = [];
+    frames = 0;
+
+    setTimestamp(timestamp) {
+        this.timestamp = timestamp;
+    }
+
+    setViewport(width, height) {
+        this.displayList.push({op: "setViewport", width, height});
+    }
+
+    present() {
+        this.displayList.push({op: "present"});
+        this.frames += 1;
+    }
+
+    clear() {
+        this.displayList = [{op: "clear"}];
+    }
+
+    background() {
+        this.displayList.push({op: "background", style: this.backgroundStyle});
+    }
+
+    fillCircle(center, radius, color, style = null) {
+        this.displayList.push({
+            op: "fillCircle",
+            center: new V2(center.x, center.y),
+            radius,
+            color: new Color(color.r, color.g, color.b, color.a),
+            style,
+            grayness: this.grayness,
+        });
+    }
+
+    fillMessage(text, color) {
+        this.displayList.push({op: "fillMessage", text, color: new Color(color.r, color.g, color.b, color.a)});
+    }
+
+    fillHudText(text, x, y, color) {
+        this.displayList.push({op: "fillHudText", text, x, y, color});
+    }
+
+    fillHudRect(x, y, width, height, color) {
+        this.displayList.push({op: "fillHudRect", x, y, width, height, color});
+    }
+
+    fillHudCircle(center, radius, color) {
+        this.displayList.push({op: "fillHudCircle", center: new V2(center.x, center.y), radius, color});
+    }
+
+    circles() {
+        return this.displayList.filter(call => call.op == "fillCircle");
+    }
+
+    messages() {
+        return this.displayList.filter(call => call.op == "fillMessage").map(call => call.text);
+    }
+}
+
+// Scriptable front end of Game for running it without a browser. Every
+// step() is exactly one SIMULATION_STEP and takes the inputs to deliver
+// right before it in the same [type, ...args] form replays use.
+class Simulation {
+    constructor({
+        seed = 0,
+        tutorial = TutorialState.Finished,
+        renderer = new NullRenderer(),
+        waves = WAVES,
+    } = {}) {
+        const storage = new MemoryStorage();
+        storage.setItem(LOCAL_STORAGE_TUTORIAL, tutorial);
+        this.game = new Game(renderer, seed, storage, waves);
+    }
+
+    get frame() {
+        return this.game.frame;
+    }
+
+    step(inputs = []) {
+        for (let [type, ...args] of inputs) {
+            applyInput(this.game, type, args);
+        }
+        this.game.update(SIMULATION_STEP);
+        return this;
+    }
+
+    run(frames, inputs = []) {
+        for (let i = 0; i < frames; ++i) {
+            this.step(inputs);
+        }
+        return this;
+    }
+
+    render(alpha = 1.0) {
+        this.game.render(alpha);
+        return this;
+    }
+
+    snapshot() {
+        const game = this.game;
+        const pos = (p) => ({x: p.x, y: p.y});
+        return {
+            frame: game.frame,
+            score: game.score,
+            paused: game.paused,
+            tutorial: Number(game.tutorial.state),
+            wave: game.director.wave,
+            player: {
+                pos: pos(game.player.pos),
+                vel: pos(game.player.vel),
+                health: game.player.health,
+                accuracy: game.player.accuracy,
+                shootCount: game.player.shootCount,
+                weapon: game.player.weapon.name,
+                powerUps: Object.fromEntries(Array.from(game.player.powerUps, ([powerUp, left]) => [
+                    Object.keys(POWER_UPS).find(name => POWER_UPS[name] === powerUp),
+                    left,
+                ])),
+            },
+            enemies: game.enemies.map(enemy => ({
+                archetype: Object.keys(ENEMY_ARCHETYPES).find(name => ENEMY_ARCHETYPES[name] === enemy.archetype),
+                pos: pos(enemy.pos),
+                radius: enemy.radius,
+                health: enemy.health,
+            })),
+            bullets: game.bullets.map(bullet => ({pos: pos(bullet.pos), lifetime: bullet.lifetime})),
+            enemyBullets: game.enemyBullets.map(bullet => ({pos: pos(bullet.pos), lifetime: bullet.lifetime})),
+            pickups: game.pickups.map(pickup => ({
+                powerUp: Object.keys(POWER_UPS).find(name => POWER_UPS[name] === pickup.powerUp),
+                pos: pos(pickup.pos),
+            })),
+            particles: game.particles.length,
+        };
+    }
+}
+
+if (typeof module !== "undefined") {
+    module.exports = {
+        lerp,
+        Random,
+        Color,
+        V2,
+        Game,
+        Player,
+        Enemy,
+        EnemyBehavior,
+        BossAttack,
+        Formation,
+        WAVES,
+        WaveDirector,
+        ENEMY_ARCHETYPES,
+        Bullet,
+        FireMode,
+        WEAPONS,
+        POWER_UPS,
+        Pickup,
+        Particle,
+        Pool,
+        removeDead,
+        SpatialHash,
+        Trail,
+        Tutorial,
+        TutorialState,
+        TutorialMessages,
+        TouchTutorialMessages,
+        MemoryStorage,
+        Action,
+        Bindings,
+        BINDING_PRESETS,
+        InputType,
+        applyInput,
+        ReplayRecorder,
+        ReplayPlayer,
+        BackgroundStyle,
+        Camera,
+        CircleStyle,
+        Renderer,
+        NullRenderer,
+        RecordingRenderer,
+        Sound,
+        AudioEngine,
+        NullAudioEngine,
+        RecordingAudioEngine,
+        Simulation,
+        SIMULATION_STEP,
+        BULLET_RADIUS,
+        ENEMY_RADIUS,
+        COLLISION_CELL_SIZE,
+    };
+}
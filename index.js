@@ -1,117 +1,134 @@
-function lerp(a, b, t) {
-    return a + (b - a) * t;
+function shaderTypeToString(gl, shaderType) {
+    switch (shaderType) {
+    case gl.VERTEX_SHADER: return 'Vertex';
+    case gl.FRAGMENT_SHADER: return 'Fragment';
+    default: return shaderType;
+    }
 }
 
-function randomBetween(min = 0, max = 1) {
-    return Math.random() * (max - min) + min;
+function compileShaderSource(backend, source, shaderType) {
+    const gl = backend.gl;
+    const shader = gl.createShader(shaderType);
+    gl.shaderSource(shader, backend.shaderSource(source, shaderType));
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Could not compile ${shaderTypeToString(gl, shaderType)} shader: ${gl.getShaderInfoLog(shader)}`);
+    }
+    return shader;
 }
 
-const randomAngle = () => randomBetween(0, 2 * Math.PI);
-
-class Color {
-    constructor(r, g, b, a) {
-        this.r = r;
-        this.g = g;
-        this.b = b;
-        this.a = a;
+// The attribute locations have to be bound before linking to take effect
+function linkShaderProgram(gl, shaders, vertexAttribs) {
+    const program = gl.createProgram();
+    for (let shader of shaders) {
+        gl.attachShader(program, shader);
     }
-
-    toRgba() {
-        return `rgba(${this.r * 255}, ${this.g * 255}, ${this.b * 255}, ${this.a})`;
+    for (let name in vertexAttribs) {
+        gl.bindAttribLocation(program, vertexAttribs[name], name);
     }
-
-    withAlpha(a) {
-        return new Color(this.r, this.g, this.b, a);
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Could not link shader program: ${gl.getProgramInfoLog(program)}`);
     }
+    return program;
+}
 
-    grayScale(t = 1.0) {
-        let x = (this.r + this.g + this.b) / 3;
-        return new Color(
-            lerp(this.r, x, t),
-            lerp(this.g, x, t),
-            lerp(this.b, x, t),
-            this.a);
+// Hides the differences between WebGL2 and WebGL1 with its extensions from
+// the rest of the renderer.
+class WebGLBackend {
+    constructor(gl, version, instancing = null, vertexArrays = null) {
+        this.gl = gl;
+        this.version = version;
+        this.instancing = instancing;
+        this.vertexArrays = vertexArrays;
     }
 
-    static hex(hexcolor) {
-        let matches =
-            hexcolor.match(/#([0-9a-z]{2})([0-9a-z]{2})([0-9a-z]{2})/i);
-        if (matches) {
-            let [, r, g, b] = matches;
-            return new Color(parseInt(r, 16) / 255.0,
-                             parseInt(g, 16) / 255.0,
-                             parseInt(b, 16) / 255.0,
-                             1.0);
-        } else {
-            throw new Error(`Could not parse ${hexcolor} as color`);
+    static create(canvas, version) {
+        if (version == 2) {
+            const gl = canvas.getContext("webgl2");
+            if (!gl) {
+                throw new Error(`Unable to initilize WebGL2. Your browser probably does not support that.`);
+            }
+            return new WebGLBackend(gl, 2);
         }
-    }
-}
 
-class V2 {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-    }
+        const gl = canvas.getContext("webgl");
+        if (!gl) {
+            throw new Error(`Unable to initilize WebGL. Your browser probably does not support that.`);
+        }
 
-    add(that) {
-        return new V2(this.x + that.x, this.y + that.y);
-    }
+        const instancing = gl.getExtension('ANGLE_instanced_arrays');
+        if (!instancing) {
+            throw new Error(`Unable to initialize Instanced Arrays extension for WebGL. Your browser probably does not support that.`);
+        }
 
-    sub(that) {
-        return new V2(this.x - that.x, this.y - that.y);
-    }
+        // Optional. Without it the attributes are set up on every draw call.
+        const vertexArrays = gl.getExtension('OES_vertex_array_object');
 
-    scale(s) {
-        return new V2(this.x * s, this.y * s);
+        return new WebGLBackend(gl, 1, instancing, vertexArrays);
     }
 
-    len() {
-        return Math.sqrt(this.x * this.x + this.y * this.y);
-    }
+    // The shaders are written in GLSL ES 1.00. On WebGL2 they are translated
+    // to GLSL ES 3.00, which only knows the declarations at the start of a
+    // line, so anything the translation missed is an error right here rather
+    // than a compile log about a reserved word.
+    shaderSource(source, shaderType) {
+        if (this.version == 1) {
+            return source;
+        }
 
-    normalize() {
-        const n = this.len();
-        return n === 0 ? new V2(0, 0) : new V2(this.x / n, this.y / n);
-    }
+        source = source
+            .replace(/^#version 100$/m, "#version 300 es")
+            .replace(/\btexture2D\(/g, "texture(");
+        if (shaderType == this.gl.VERTEX_SHADER) {
+            source = source
+                .replace(/^attribute /mg, "in ")
+                .replace(/^varying /mg, "out ");
+        } else {
+            source = source
+                .replace(/^varying /mg, "in ")
+                .replace(/\bgl_FragColor\b/g, "fragColor")
+                .replace(/^void main\(\)/m, "out vec4 fragColor;\n\nvoid main()");
+        }
 
-    dist(that) {
-        return this.sub(that).len();
+        const leftover = source.match(GLSL_100_ONLY);
+        if (leftover !== null) {
+            throw new Error(`Could not translate \`${leftover[0]}\` to GLSL ES 3.00 in:\n${source}`);
+        }
+        return source;
     }
 
-    static polar(mag, dir) {
-        return new V2(Math.cos(dir) * mag, Math.sin(dir) * mag);
+    drawArraysInstanced(mode, first, count, instanceCount) {
+        if (this.version == 2) {
+            this.gl.drawArraysInstanced(mode, first, count, instanceCount);
+        } else {
+            this.instancing.drawArraysInstancedANGLE(mode, first, count, instanceCount);
+        }
     }
-}
 
-function shaderTypeToString(gl, shaderType) {
-    switch (shaderType) {
-    case gl.VERTEX_SHADER: return 'Vertex';
-    case gl.FRAGMENT_SHADER: return 'Fragment';
-    default: return shaderType;
+    vertexAttribDivisor(index, divisor) {
+        if (this.version == 2) {
+            this.gl.vertexAttribDivisor(index, divisor);
+        } else {
+            this.instancing.vertexAttribDivisorANGLE(index, divisor);
+        }
     }
-}
 
-function compileShaderSource(gl, source, shaderType) {
-    const shader = gl.createShader(shaderType);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        throw new Error(`Could not compile ${this.shaderTypeToString(shaderType)} shader: ${gl.getShaderInfoLog(shader)}`);
+    // null when vertex array objects are not supported
+    createVertexArray() {
+        if (this.version == 2) {
+            return this.gl.createVertexArray();
+        }
+        return this.vertexArrays?.createVertexArrayOES() ?? null;
     }
-    return shader;
-}
 
-function linkShaderProgram(gl, shaders) {
-    const program = gl.createProgram();
-    for (let shader of shaders) {
-        gl.attachShader(program, shader);
-    }
-    gl.linkProgram(program);
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        throw new Error(`Could not link shader program: ${gl.getProgramInfoLog(program)}`);
+    bindVertexArray(vertexArray) {
+        if (this.version == 2) {
+            this.gl.bindVertexArray(vertexArray);
+        } else {
+            this.vertexArrays?.bindVertexArrayOES(vertexArray);
+        }
     }
-    return program;
 }
 
 class BackgroundProgram {
@@ -128,46 +145,109 @@ void main() {
 }
 `
 
+    // Every style here has a Renderer2D counterpart that draws the same thing
     fragmentShaderSource = `#version 100
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
 precision mediump float;
+#endif
 
 uniform vec2 resolution;
 uniform vec2 cameraPosition;
+uniform float cameraZoom;
 uniform float time;
+uniform int style;
 
 varying vec2 position;
 
-void main() {
-    float gridSize = 2000.0;
-    float radius = gridSize * 0.4;
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
 
-    float scale = min(resolution.x / float(${DEFAULT_RESOLUTION.w}), resolution.y / float(${DEFAULT_RESOLUTION.h}));
-    vec2 coord = (position * resolution * 0.5 / scale + cameraPosition);
+// Negative inside of the flat top hexagon centered at the origin
+float hexDistance(vec2 p) {
+    p = abs(p);
+    return max(dot(p, vec2(0.8660254, 0.5)), p.y) - float(${BACKGROUND_CELL_RADIUS}) * 0.8660254;
+}
+
+vec3 hexGrid(vec2 coord, float unitsPerPixel) {
+    float width = float(${BACKGROUND_CELL_WIDTH});
+    float height = float(${BACKGROUND_CELL_HEIGHT});
+    float column = floor(coord.x / width);
+    float d = 1e9;
+    for (int i = -1; i <= 1; ++i) {
+        float cellX = column + float(i);
+        float rowOffset = mod(cellX, 2.0) == 0.0 ? 0.5 : 0.0;
+        float row = floor(coord.y / height - rowOffset);
+        for (int j = -1; j <= 1; ++j) {
+            vec2 center = vec2(cellX * width, (row + float(j) + rowOffset) * height);
+            d = min(d, abs(hexDistance(coord - center)));
+        }
+    }
+    float coverage = clamp((0.5 + 0.5 * unitsPerPixel - d) / unitsPerPixel, 0.0, 1.0);
+    return vec3(${BACKGROUND_LINE_COLOR.r}, ${BACKGROUND_LINE_COLOR.g}, ${BACKGROUND_LINE_COLOR.b}) * float(${BACKGROUND_LINE_COLOR.a}) * coverage;
+}
+
+vec3 pulsingCells(vec2 coord) {
+    float gridSize = float(${PULSING_CELL_SIZE});
     vec2 cell = floor(coord / gridSize);
     vec2 center = cell * gridSize + vec2(gridSize * 0.5);
 
-    if (length(center - coord) < radius) {
-        float value = (sin(cell.x + cell.y + time) + 1.0) / 2.0 * 0.1;
-        gl_FragColor = vec4(value, value, value, 1.0);
-    } else {
-        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+    if (length(center - coord) < float(${PULSING_CELL_RADIUS})) {
+        return vec3((sin(cell.x + cell.y + time) + 1.0) / 2.0 * float(${PULSING_CELL_BRIGHTNESS}));
     }
+    return vec3(0.0);
+}
+
+float starLayer(vec2 offset, float unitsPerPixel, float parallax, float cellSize, float radius) {
+    vec2 coord = cameraPosition * parallax + offset;
+    vec2 cell = floor(coord / cellSize);
+    vec2 jitter = vec2(hash(cell), hash(cell + 17.0));
+    vec2 center = (cell + float(${STARFIELD_MARGIN}) + jitter * (1.0 - 2.0 * float(${STARFIELD_MARGIN}))) * cellSize;
+    float brightness = float(${STARFIELD_MIN_BRIGHTNESS}) + (1.0 - float(${STARFIELD_MIN_BRIGHTNESS})) * hash(cell + 31.0);
+    return brightness * clamp((radius - length(coord - center)) / unitsPerPixel + 0.5, 0.0, 1.0);
+}
+
+vec3 starfield(vec2 offset, float unitsPerPixel) {
+    float value = 0.0;
+${STARFIELD_LAYERS.map(layer => `    value += starLayer(offset, unitsPerPixel, float(${layer.parallax}), float(${layer.cellSize}), float(${layer.radius}));`).join("\n")}
+    return vec3(min(value, 1.0));
+}
+
+void main() {
+    float scale = min(resolution.x / float(${DEFAULT_RESOLUTION.w}), resolution.y / float(${DEFAULT_RESOLUTION.h}));
+    float unitsPerPixel = 1.0 / (scale * cameraZoom);
+    // World Y goes down the screen like in Renderer2D
+    vec2 offset = vec2(position.x, -position.y) * resolution * 0.5 * unitsPerPixel;
+    vec2 coord = offset + cameraPosition;
+
+    vec3 color = vec3(0.0);
+    if (style == ${BackgroundStyle.HexGrid}) {
+        color = hexGrid(coord, unitsPerPixel);
+    } else if (style == ${BackgroundStyle.PulsingCells}) {
+        color = pulsingCells(coord);
+    } else if (style == ${BackgroundStyle.Starfield}) {
+        color = starfield(offset, unitsPerPixel);
+    }
+    gl_FragColor = vec4(color, 1.0);
 }
 `
 
-    constructor(gl, vertexAttribs) {
+    constructor(backend, vertexAttribs) {
+        const gl = backend.gl;
         this.gl = gl;
 
-        let vertexShader = compileShaderSource(gl, this.vertexShaderSource, gl.VERTEX_SHADER);
-        let fragmentShader = compileShaderSource(gl, this.fragmentShaderSource, gl.FRAGMENT_SHADER);
-        this.program = linkShaderProgram(gl, [vertexShader, fragmentShader]);
+        let vertexShader = compileShaderSource(backend, this.vertexShaderSource, gl.VERTEX_SHADER);
+        let fragmentShader = compileShaderSource(backend, this.fragmentShaderSource, gl.FRAGMENT_SHADER);
+        this.program = linkShaderProgram(gl, [vertexShader, fragmentShader], vertexAttribs);
         gl.useProgram(this.program);
 
         this.resolutionUniform = gl.getUniformLocation(this.program, 'resolution');
         this.cameraPositionUniform = gl.getUniformLocation(this.program, 'cameraPosition');
+        this.cameraZoomUniform = gl.getUniformLocation(this.program, 'cameraZoom');
         this.timeUniform = gl.getUniformLocation(this.program, 'time');
-
-        gl.bindAttribLocation(this.program, vertexAttribs['meshPosition'], 'meshPosition');
+        this.styleUniform = gl.getUniformLocation(this.program, 'style');
     }
 
     use() {
@@ -188,11 +268,19 @@ void main() {
         this.gl.uniform2f(this.cameraPositionUniform, pos.x, pos.y);
     }
 
+    setCameraZoom(zoom) {
+        this.gl.uniform1f(this.cameraZoomUniform, zoom);
+    }
+
     setTimestamp(timestamp) {
         this.gl.uniform1f(this.timeUniform, timestamp);
     }
 
-    draw(circlesCount) {
+    setStyle(style) {
+        this.gl.uniform1i(this.styleUniform, style);
+    }
+
+    draw() {
         this.gl.drawArrays(this.gl.TRIANGLES, 0, TRIANGLE_PAIR * TRIANGLE_VERTICIES);
     }
 }
@@ -203,68 +291,92 @@ precision mediump float;
 
 uniform vec2 resolution;
 uniform vec2 cameraPosition;
+uniform float cameraZoom;
 
 attribute vec2 meshPosition;
 
 attribute vec2 circleCenter;
 attribute float circleRadius;
 attribute vec4 circleColor;
+attribute vec4 circleOutlineColor;
+// x is the outline width and y is the glow radius
+attribute vec2 circleEffects;
 
 varying vec4 vertexColor;
-varying vec2 vertexUV;
+varying vec4 vertexOutlineColor;
+// Radius, outline width and glow radius
+varying vec3 vertexShape;
+// From the center of the circle in world units
+varying vec2 vertexOffset;
 
 vec2 camera_projection(vec2 position) {
     float scale = min(resolution.x / float(${DEFAULT_RESOLUTION.w}), resolution.y / float(${DEFAULT_RESOLUTION.h}));
-    return 2.0 * scale * (position - cameraPosition) / resolution;
+    // World Y goes down the screen like in Renderer2D
+    return vec2(1.0, -1.0) * 2.0 * scale * cameraZoom * (position - cameraPosition) / resolution;
 }
 
 void main() {
-    gl_Position = vec4(camera_projection(meshPosition * circleRadius + circleCenter), 0.0, 1.0);
+    vertexOffset = meshPosition * (circleRadius + circleEffects.y);
+    gl_Position = vec4(camera_projection(vertexOffset + circleCenter), 0.0, 1.0);
     vertexColor = circleColor;
-    vertexUV = meshPosition;
+    vertexOutlineColor = circleOutlineColor;
+    vertexShape = vec3(circleRadius, circleEffects);
 }
 `;
 
     fragmentShaderSource =`#version 100
 precision mediump float;
 
-uniform float grayness;
+uniform float unitsPerPixel;
 
 varying vec4 vertexColor;
-varying vec2 vertexUV;
-
-vec4 grayScale(vec4 color, float t) {
-    float v = (color.x + color.y + color.z) / 3.0;
-    return vec4(
-        mix(color.x, v, t),
-        mix(color.y, v, t),
-        mix(color.z, v, t),
-        color.w);
-}
+varying vec4 vertexOutlineColor;
+varying vec3 vertexShape;
+varying vec2 vertexOffset;
 
 void main() {
+    float radius = vertexShape.x;
+    float outlineWidth = vertexShape.y;
+    float glowRadius = vertexShape.z;
+
+    // Signed distance to the edge, negative inside. Fading over one pixel
+    // around the edge is what antialiases it.
+    float d = length(vertexOffset) - radius;
+    float coverage = clamp(0.5 - d / unitsPerPixel, 0.0, 1.0);
+
     vec4 color = vertexColor;
-    gl_FragColor = length(vertexUV) < 1.0 ? grayScale(color, grayness) : vec4(0.0);
+    vec4 edgeColor = vertexColor;
+    if (outlineWidth > 0.0) {
+        color = mix(vertexColor, vertexOutlineColor, clamp(0.5 + (d + outlineWidth) / unitsPerPixel, 0.0, 1.0));
+        edgeColor = vertexOutlineColor;
+    }
+
+    float glow = 0.0;
+    if (glowRadius > 0.0) {
+        float t = 1.0 - clamp(d / glowRadius, 0.0, 1.0);
+        glow = float(${CIRCLE_GLOW_ALPHA}) * t * t;
+    }
+
+    gl_FragColor = vec4(
+        mix(edgeColor.rgb, color.rgb, coverage),
+        mix(edgeColor.a * glow, color.a, coverage));
 }
 `;
 
-    constructor(gl, ext, vertexAttribs) {
+    constructor(backend, vertexAttribs) {
+        const gl = backend.gl;
         this.gl = gl;
-        this.ext = ext;
+        this.backend = backend;
 
-        let vertexShader = compileShaderSource(gl, this.vertexShaderSource, gl.VERTEX_SHADER);
-        let fragmentShader = compileShaderSource(gl, this.fragmentShaderSource, gl.FRAGMENT_SHADER);
-        this.program = linkShaderProgram(gl, [vertexShader, fragmentShader]);
+        let vertexShader = compileShaderSource(backend, this.vertexShaderSource, gl.VERTEX_SHADER);
+        let fragmentShader = compileShaderSource(backend, this.fragmentShaderSource, gl.FRAGMENT_SHADER);
+        this.program = linkShaderProgram(gl, [vertexShader, fragmentShader], vertexAttribs);
         gl.useProgram(this.program);
 
         this.resolutionUniform = gl.getUniformLocation(this.program, 'resolution');
         this.cameraPositionUniform = gl.getUniformLocation(this.program, 'cameraPosition');
-        this.graynessUniform = gl.getUniformLocation(this.program, 'grayness');
-
-        gl.bindAttribLocation(this.program, vertexAttribs['meshPosition'], 'meshPosition');
-        gl.bindAttribLocation(this.program, vertexAttribs['circleCenter'], 'circleCenter');
-        gl.bindAttribLocation(this.program, vertexAttribs['circleRadius'], 'circleRadius');
-        gl.bindAttribLocation(this.program, vertexAttribs['circleColor'], 'circleColor');
+        this.cameraZoomUniform = gl.getUniformLocation(this.program, 'cameraZoom');
+        this.unitsPerPixelUniform = gl.getUniformLocation(this.program, 'unitsPerPixel');
     }
 
     use() {
@@ -280,300 +392,1088 @@ void main() {
         this.gl.uniform2f(this.cameraPositionUniform, pos.x, pos.y);
     }
 
-    setGrayness(grayness) {
-        this.gl.uniform1f(this.graynessUniform, grayness);
+    setCameraZoom(zoom) {
+        this.gl.uniform1f(this.cameraZoomUniform, zoom);
+    }
+
+    setUnitsPerPixel(unitsPerPixel) {
+        this.gl.uniform1f(this.unitsPerPixelUniform, unitsPerPixel);
     }
 
     draw(circlesCount) {
-        this.ext.drawArraysInstancedANGLE(this.gl.TRIANGLES, 0, TRIANGLE_PAIR * TRIANGLE_VERTICIES, circlesCount);
+        this.backend.drawArraysInstanced(this.gl.TRIANGLES, 0, TRIANGLE_PAIR * TRIANGLE_VERTICIES, circlesCount);
     }
 }
 
-class RendererWebGL {
-    cameraPos = new V2(0, 0);
-    cameraVel = new V2(0, 0);
-    resolution = new V2(0, 0);
-    unitsPerPixel = 1.0;
-
-    vertexAttribs = {
-        "meshPosition": 0,
-        "circleCenter": 1,
-        "circleRadius": 2,
-        "circleColor": 3,
-    };
-
-    constructor(gl, ext) {
-        this.gl = gl;
-        this.ext = ext;
-        this.circlesCount = 0;
+class TextProgram {
+    vertexShaderSource = `#version 100
+precision mediump float;
 
-        gl.enable(gl.BLEND);
-        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+uniform vec2 screenSize;
 
-        // Mesh Position
-        {
-            this.meshPositionBufferData = new Float32Array(TRIANGLE_PAIR * TRIANGLE_VERTICIES * VEC2_COUNT);
-            for (let triangle = 0; triangle < TRIANGLE_PAIR; ++triangle) {
-                for (let vertex = 0; vertex < TRIANGLE_VERTICIES; ++vertex) {
-                    const quad = triangle + vertex;
-                    const index =
-                          triangle * TRIANGLE_VERTICIES * VEC2_COUNT +
-                          vertex * VEC2_COUNT;
-                    this.meshPositionBufferData[index + VEC2_X] = (2 * (quad & 1) - 1);
-                    this.meshPositionBufferData[index + VEC2_Y] = (2 * ((quad >> 1) & 1) - 1);
-                }
-            }
+attribute vec2 meshPosition;
 
-            this.meshPositionBuffer = gl.createBuffer();
-            gl.bindBuffer(gl.ARRAY_BUFFER, this.meshPositionBuffer);
-            gl.bufferData(gl.ARRAY_BUFFER, this.meshPositionBufferData, gl.STATIC_DRAW);
+attribute vec4 glyphRect;
+attribute vec4 glyphUV;
+attribute vec4 glyphColor;
 
-            const meshPositionAttrib = this.vertexAttribs['meshPosition'];
-            gl.vertexAttribPointer(
-                meshPositionAttrib,
-                VEC2_COUNT,
-                gl.FLOAT,
-                false,
-                0,
-                0);
-            gl.enableVertexAttribArray(meshPositionAttrib);
-        }
+varying vec4 vertexColor;
+varying vec2 vertexUV;
 
-        // Circle Center
-        {
-            this.circleCenterBufferData = new Float32Array(VEC2_COUNT * CIRCLE_BATCH_CAPACITY);
-            this.circleCenterBuffer = gl.createBuffer();
-            gl.bindBuffer(gl.ARRAY_BUFFER, this.circleCenterBuffer);
-            gl.bufferData(gl.ARRAY_BUFFER, this.circleCenterBufferData, gl.DYNAMIC_DRAW);
+void main() {
+    vec2 t = (meshPosition + 1.0) * 0.5;
+    vec2 position = glyphRect.xy + t * glyphRect.zw;
+    gl_Position = vec4(
+        position.x / screenSize.x * 2.0 - 1.0,
+        1.0 - position.y / screenSize.y * 2.0,
+        0.0, 1.0);
+    vertexColor = glyphColor;
+    vertexUV = mix(glyphUV.xy, glyphUV.zw, t);
+}
+`;
 
-            const circleCenterAttrib = this.vertexAttribs['circleCenter'];
-            gl.vertexAttribPointer(
-                circleCenterAttrib,
-                VEC2_COUNT,
-                gl.FLOAT,
-                false,
-                0,
-                0);
-            gl.enableVertexAttribArray(circleCenterAttrib);
-            ext.vertexAttribDivisorANGLE(circleCenterAttrib, 1);
-        }
+    fragmentShaderSource = `#version 100
+precision mediump float;
 
-        // Circle Radius
-        {
-            this.circleRadiusBufferData = new Float32Array(CIRCLE_BATCH_CAPACITY);
-            this.circleRadiusBuffer = gl.createBuffer();
-            gl.bindBuffer(gl.ARRAY_BUFFER, this.circleRadiusBuffer);
-            gl.bufferData(gl.ARRAY_BUFFER, this.circleRadiusBufferData, gl.DYNAMIC_DRAW);
+uniform sampler2D atlas;
 
-            const circleRadiusAttrib = this.vertexAttribs['circleRadius'];
-            gl.vertexAttribPointer(
-                circleRadiusAttrib,
-                1,
-                gl.FLOAT,
-                false,
-                0,
-                0);
-            gl.enableVertexAttribArray(circleRadiusAttrib);
-            ext.vertexAttribDivisorANGLE(circleRadiusAttrib, 1);
-        }
+varying vec4 vertexColor;
+varying vec2 vertexUV;
 
-        // Circle Color
-        {
-            this.circleColorBufferData = new Float32Array(RGBA_COUNT * CIRCLE_BATCH_CAPACITY);
-            this.circleColorBuffer = gl.createBuffer();
-            gl.bindBuffer(gl.ARRAY_BUFFER, this.circleColorBuffer);
-            gl.bufferData(gl.ARRAY_BUFFER, this.circleColorBufferData, gl.DYNAMIC_DRAW);
+void main() {
+    gl_FragColor = vec4(vertexColor.rgb, vertexColor.a * texture2D(atlas, vertexUV).a);
+}
+`;
 
-            const circleColorAttrib = this.vertexAttribs['circleColor'];
-            gl.vertexAttribPointer(
-                circleColorAttrib,
-                RGBA_COUNT,
-                gl.FLOAT,
-                false,
-                0,
-                0);
-            gl.enableVertexAttribArray(circleColorAttrib);
-            ext.vertexAttribDivisorANGLE(circleColorAttrib, 1);
-        }
+    constructor(backend, vertexAttribs) {
+        const gl = backend.gl;
+        this.gl = gl;
+        this.backend = backend;
 
-        this.backgroundProgram = new BackgroundProgram(gl, this.vertexAttribs);
-        this.circlesProgram = new CirclesProgram(gl, ext, this.vertexAttribs);
-    }
+        let vertexShader = compileShaderSource(backend, this.vertexShaderSource, gl.VERTEX_SHADER);
+        let fragmentShader = compileShaderSource(backend, this.fragmentShaderSource, gl.FRAGMENT_SHADER);
+        this.program = linkShaderProgram(gl, [vertexShader, fragmentShader], vertexAttribs);
+        gl.useProgram(this.program);
 
-    // RENDERER INTERFACE //////////////////////////////
-    setTimestamp(timestamp) {
-        this.timestamp = timestamp;
+        this.screenSizeUniform = gl.getUniformLocation(this.program, 'screenSize');
+        this.atlasUniform = gl.getUniformLocation(this.program, 'atlas');
+        gl.uniform1i(this.atlasUniform, 0);
     }
 
-    setViewport(width, height) {
-        this.gl.viewport(0, 0, width, height);
-        this.resolution.x = width;
-        this.resolution.y = height;
+    use() {
+        this.gl.useProgram(this.program);
     }
 
-    setTarget(target) {
-        this.cameraVel = target.sub(this.cameraPos);
+    // Size of the screen in the units Renderer2D lays its messages out in
+    setScreenSize(width, height) {
+        this.gl.uniform2f(this.screenSizeUniform, width, height);
     }
 
-    update(dt) {
-        this.cameraPos = this.cameraPos.add(this.cameraVel.scale(dt));
+    draw(glyphsCount) {
+        this.backend.drawArraysInstanced(this.gl.TRIANGLES, 0, TRIANGLE_PAIR * TRIANGLE_VERTICIES, glyphsCount);
     }
+}
 
-    present() {
-        // Update All dynamic buffers
-        {
-            // TODO: bufferSubData should probably use subview of this Float32Array if that's even possible
-            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.circleCenterBuffer);
-            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.circleCenterBufferData);
-            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.circleRadiusBuffer);
-            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.circleRadiusBufferData);
-            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.circleColorBuffer);
-            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.circleColorBufferData);
+// Every printable ASCII character of the message font rendered once into a
+// texture through a 2D canvas. Rebuilt when the font finishes loading since
+// until then the canvas falls back to a default font. Below the glyphs are a
+// solid block and a disc for drawing plain rectangles and circles through
+// the same batch.
+class GlyphAtlas {
+    glyphs = new Map();
+    solid = null;
+    disc = null;
+
+    constructor(gl) {
+        this.gl = gl;
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        // Built with the fallback font until LexendMega is in, and kept that
+        // way if it never is
+        this.build();
+        document.fonts?.load(MESSAGE_FONT)
+            .then(() => this.build())
+            .catch(error => console.error(`Could not load the font ${MESSAGE_FONT}: ${error.message}`));
+    }
+
+    build() {
+        const canvas = document.createElement("canvas");
+        const context = canvas.getContext("2d");
+        const cellHeight = Math.ceil(MESSAGE_FONT_SIZE * GLYPH_CELL_HEIGHT_FACTOR);
+
+        context.font = MESSAGE_FONT;
+        const cells = [];
+        let x = 0;
+        let y = 0;
+        for (let code = GLYPH_FIRST_CHAR; code <= GLYPH_LAST_CHAR; ++code) {
+            const char = String.fromCharCode(code);
+            const advance = context.measureText(char).width;
+            const cellWidth = Math.ceil(advance) + 2 * GLYPH_PADDING;
+            if (x + cellWidth > GLYPH_ATLAS_WIDTH) {
+                x = 0;
+                y += cellHeight;
+            }
+            cells.push({char, advance, x, y, cellWidth});
+            x += cellWidth;
         }
 
-        // Call the Background Program
-        {
-            this.backgroundProgram.use();
-            this.backgroundProgram.setCameraPosition(this.cameraPos);
-            this.backgroundProgram.setViewport(this.resolution.x, this.resolution.y);
-            this.backgroundProgram.setTimestamp(this.timestamp);
-            this.backgroundProgram.draw(this.circlesCount);
+        // Resizing the canvas resets the state of the context
+        const solidY = y + cellHeight;
+        canvas.width = GLYPH_ATLAS_WIDTH;
+        canvas.height = solidY + GLYPH_DISC_SIZE;
+        context.font = MESSAGE_FONT;
+        context.fillStyle = "white";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+
+        this.glyphs.clear();
+        for (let {char, advance, x, y, cellWidth} of cells) {
+            context.fillText(char, x + GLYPH_PADDING, y + cellHeight / 2);
+            this.glyphs.set(char, {
+                advance,
+                width: cellWidth,
+                height: cellHeight,
+                u0: x / canvas.width,
+                v0: y / canvas.height,
+                u1: (x + cellWidth) / canvas.width,
+                v1: (y + cellHeight) / canvas.height,
+            });
         }
 
-        // Call the Circles Program
-        {
-            this.circlesProgram.use();
-            this.circlesProgram.setCameraPosition(this.cameraPos);
-            this.circlesProgram.setViewport(this.resolution.x, this.resolution.y);
-            this.circlesProgram.setGrayness(this.grayness);
-            this.circlesProgram.draw(this.circlesCount);
-        }
-    }
+        // Sampled in the middle only so the filtering never reaches its edges
+        context.fillRect(0, solidY, GLYPH_SOLID_SIZE, GLYPH_SOLID_SIZE);
+        const u = GLYPH_SOLID_SIZE / 2 / canvas.width;
+        const v = (solidY + GLYPH_SOLID_SIZE / 2) / canvas.height;
+        this.solid = {advance: 0, width: 1, height: 1, u0: u, v0: v, u1: u, v1: v};
+
+        // Right of the solid block, one unit across
+        const discX = GLYPH_SOLID_SIZE + GLYPH_PADDING;
+        context.beginPath();
+        context.arc(discX + GLYPH_DISC_SIZE / 2, solidY + GLYPH_DISC_SIZE / 2, GLYPH_DISC_SIZE / 2, 0, 2 * Math.PI);
+        context.fill();
+        this.disc = {
+            advance: 0,
+            width: 1,
+            height: 1,
+            u0: discX / canvas.width,
+            v0: solidY / canvas.height,
+            u1: (discX + GLYPH_DISC_SIZE) / canvas.width,
+            v1: (solidY + GLYPH_DISC_SIZE) / canvas.height,
+        };
 
-    clear() {
-        this.circlesCount = 0;
-        this.gl.clearColor(0.0, 0.0, 0.0, 1.0);
-        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
+        this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, this.gl.RGBA, this.gl.UNSIGNED_BYTE, canvas);
     }
 
-    background() {
-        // TODO: RendererWebGL.background() is not implemented
+    glyph(char) {
+        return this.glyphs.get(char) ?? this.glyphs.get("?");
     }
+}
+
+// Screen wide effects RendererWebGL applies to the finished scene, in the
+// order of RendererWebGL.setPostEffects()
+const PostEffect = Object.freeze({
+    "Bloom": 0,
+    "Grayscale": 1,
+    "ChromaticAberration": 2,
+    "Vignette": 3,
+});
 
-    fillCircle(center, radius, color) {
-        if (this.circlesCount < CIRCLE_BATCH_CAPACITY) {
-            this.circleCenterBufferData[this.circlesCount * VEC2_COUNT + VEC2_X] = center.x;
-            this.circleCenterBufferData[this.circlesCount * VEC2_COUNT + VEC2_Y] = center.y;
+// A texture that can be drawn into
+class RenderTarget {
+    width = 0;
+    height = 0;
 
-            this.circleRadiusBufferData[this.circlesCount] = radius;
+    constructor(gl) {
+        this.gl = gl;
 
-            this.circleColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_R] = color.r;
-            this.circleColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_G] = color.g;
-            this.circleColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_B] = color.b;
-            this.circleColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_A] = color.a;
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
-            this.circlesCount += 1;
-        }
+        this.framebuffer = gl.createFramebuffer();
     }
 
-    fillMessage(text, color) {
-        // TODO: RendererWebGL.fillMessage() is not implemented
+    resize(width, height) {
+        width = Math.max(Math.floor(width), 1);
+        height = Math.max(Math.floor(height), 1);
+        if (this.width == width && this.height == height) {
+            return;
+        }
+
+        this.width = width;
+        this.height = height;
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
 
-    screenToWorld(point) {
-        return point
-            .sub(this.resolution.scale(0.5))
-            .scale(this.unitsPerPixel)
-            .add(this.cameraPos);
+    bind() {
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
+        this.gl.viewport(0, 0, this.width, this.height);
     }
+}
 
-    ////////////////////////////////////////////////////////////
+// Covers the whole target with one fragment shader. The previous pass is in
+// the `source` texture with `texelSize` being the size of its pixels.
+class PostProgram {
+    vertexShaderSource = `#version 100
+precision mediump float;
+
+attribute vec2 meshPosition;
+
+varying vec2 uv;
+
+void main() {
+    gl_Position = vec4(meshPosition, 0.0, 1.0);
+    uv = (meshPosition + 1.0) * 0.5;
 }
+`;
 
-class Renderer2D {
-    cameraPos = new V2(0, 0);
-    cameraVel = new V2(0, 0);
-    grayness = 0.0;
-    unitsPerPixel = 1.0;
+    constructor(backend, vertexAttribs, fragmentShaderSource, uniformNames = []) {
+        const gl = backend.gl;
+        this.gl = gl;
 
-    constructor(context2d) {
-        this.context2d = context2d;
-    }
+        let vertexShader = compileShaderSource(backend, this.vertexShaderSource, gl.VERTEX_SHADER);
+        let fragmentShader = compileShaderSource(backend, fragmentShaderSource, gl.FRAGMENT_SHADER);
+        this.program = linkShaderProgram(gl, [vertexShader, fragmentShader], vertexAttribs);
+        gl.useProgram(this.program);
 
-    update(dt) {
-        this.cameraPos = this.cameraPos.add(this.cameraVel.scale(dt));
+        gl.uniform1i(gl.getUniformLocation(this.program, 'source'), 0);
+        this.texelSizeUniform = gl.getUniformLocation(this.program, 'texelSize');
+        this.uniforms = {};
+        for (let name of uniformNames) {
+            this.uniforms[name] = gl.getUniformLocation(this.program, name);
+        }
     }
 
-    width() {
-        return this.context2d.canvas.width * this.unitsPerPixel;
+    use() {
+        this.gl.useProgram(this.program);
     }
 
-    height() {
-        return this.context2d.canvas.height * this.unitsPerPixel;
+    setTexelSize(width, height) {
+        this.gl.uniform2f(this.texelSizeUniform, 1 / width, 1 / height);
     }
 
-    getScreenWorldBounds() {
-        let topLeft = this.screenToWorld(new V2(0, 0));
-        let bottomRight = this.screenToWorld(new V2(this.context2d.canvas.width, this.context2d.canvas.height));
-        return [topLeft, bottomRight];
+    setFloat(name, value) {
+        this.gl.uniform1f(this.uniforms[name], value);
     }
 
-    screenToWorld(point) {
-        const width = this.context2d.canvas.width;
-        const height = this.context2d.canvas.height;
-        return point
-            .sub(new V2(width / 2, height / 2))
-            .scale(this.unitsPerPixel)
-            .add(this.cameraPos);
+    setVec2(name, x, y) {
+        this.gl.uniform2f(this.uniforms[name], x, y);
     }
 
-    worldToCamera(point) {
-        const width = this.width();
-        const height = this.height();
-        return point.sub(this.cameraPos).add(new V2(width / 2, height / 2));
+    setTexture(name, unit) {
+        this.gl.uniform1i(this.uniforms[name], unit);
     }
 
-    clear() {
-        const width = this.width();
-        const height = this.height();
-        this.context2d.clearRect(0, 0, width, height);
+    draw() {
+        this.gl.drawArrays(this.gl.TRIANGLES, 0, TRIANGLE_PAIR * TRIANGLE_VERTICIES);
     }
+}
 
-    setTarget(target) {
-        this.cameraVel = target.sub(this.cameraPos);
+// Owns the offscreen scene RendererWebGL draws into and runs the chain of
+// post effects that puts it on the screen.
+class PostProcessor {
+    copyShaderSource = `#version 100
+precision mediump float;
+
+uniform sampler2D source;
+
+varying vec2 uv;
+
+void main() {
+    gl_FragColor = vec4(texture2D(source, uv).rgb, 1.0);
+}
+`;
+
+    // Only bright saturated colors like the ones of the bullets and the
+    // particles glow. The grayish enemies and the backgrounds do not.
+    bloomExtractShaderSource = `#version 100
+precision mediump float;
+
+uniform sampler2D source;
+uniform float threshold;
+
+varying vec2 uv;
+
+void main() {
+    vec3 color = texture2D(source, uv).rgb;
+    float chroma = max(color.r, max(color.g, color.b)) - min(color.r, min(color.g, color.b));
+    gl_FragColor = vec4(color * smoothstep(threshold, 1.0, chroma), 1.0);
+}
+`;
+
+    blurShaderSource = `#version 100
+precision mediump float;
+
+uniform sampler2D source;
+uniform vec2 texelSize;
+uniform vec2 direction;
+
+varying vec2 uv;
+
+void main() {
+    vec2 stride = direction * texelSize;
+    vec3 color = texture2D(source, uv).rgb * 0.227027;
+${[[1, 0.1945946], [2, 0.1216216], [3, 0.054054], [4, 0.016216]].map(([offset, weight]) =>
+`    color += texture2D(source, uv + stride * float(${offset})).rgb * ${weight};
+    color += texture2D(source, uv - stride * float(${offset})).rgb * ${weight};`).join("\n")}
+    gl_FragColor = vec4(color, 1.0);
+}
+`;
+
+    bloomCombineShaderSource = `#version 100
+precision mediump float;
+
+uniform sampler2D source;
+uniform sampler2D bloom;
+uniform float intensity;
+
+varying vec2 uv;
+
+void main() {
+    vec3 color = texture2D(source, uv).rgb + texture2D(bloom, uv).rgb * intensity;
+    gl_FragColor = vec4(min(color, 1.0), 1.0);
+}
+`;
+
+    grayscaleShaderSource = `#version 100
+precision mediump float;
+
+uniform sampler2D source;
+uniform float grayness;
+
+varying vec2 uv;
+
+void main() {
+    vec3 color = texture2D(source, uv).rgb;
+    float v = (color.r + color.g + color.b) / 3.0;
+    gl_FragColor = vec4(mix(color, vec3(v), grayness), 1.0);
+}
+`;
+
+    // Red and blue drift apart from the center of the screen
+    chromaticAberrationShaderSource = `#version 100
+precision mediump float;
+
+uniform sampler2D source;
+uniform vec2 texelSize;
+uniform float offset;
+
+varying vec2 uv;
+
+void main() {
+    vec2 shift = (uv - 0.5) * 2.0 * offset * texelSize;
+    gl_FragColor = vec4(
+        texture2D(source, uv + shift).r,
+        texture2D(source, uv).g,
+        texture2D(source, uv - shift).b,
+        1.0);
+}
+`;
+
+    vignetteShaderSource = `#version 100
+precision mediump float;
+
+uniform sampler2D source;
+uniform float strength;
+
+varying vec2 uv;
+
+void main() {
+    vec3 color = texture2D(source, uv).rgb;
+    float edge = smoothstep(float(${VIGNETTE_INNER_RADIUS}), float(${VIGNETTE_OUTER_RADIUS}), length(uv - 0.5) * 2.0) * strength;
+    gl_FragColor = vec4(mix(color, vec3(float(${VIGNETTE_COLOR.r}), float(${VIGNETTE_COLOR.g}), float(${VIGNETTE_COLOR.b})), edge), 1.0);
+}
+`;
+
+    effects = [
+        PostEffect.Bloom,
+        PostEffect.Grayscale,
+        PostEffect.ChromaticAberration,
+        PostEffect.Vignette,
+    ];
+
+    constructor(backend, vertexAttribs) {
+        const gl = backend.gl;
+        this.gl = gl;
+
+        // The passes ping-pong between scene and swap. The bloom is blurred
+        // at a lower resolution back and forth between its own two targets.
+        this.scene = new RenderTarget(gl);
+        this.swap = new RenderTarget(gl);
+        this.bloomTargets = [new RenderTarget(gl), new RenderTarget(gl)];
+
+        this.copyProgram = new PostProgram(backend, vertexAttribs, this.copyShaderSource);
+        this.bloomExtractProgram = new PostProgram(backend, vertexAttribs, this.bloomExtractShaderSource, ["threshold"]);
+        this.blurProgram = new PostProgram(backend, vertexAttribs, this.blurShaderSource, ["direction"]);
+        this.bloomCombineProgram = new PostProgram(backend, vertexAttribs, this.bloomCombineShaderSource, ["bloom", "intensity"]);
+        this.bloomCombineProgram.setTexture("bloom", 1);
+        this.grayscaleProgram = new PostProgram(backend, vertexAttribs, this.grayscaleShaderSource, ["grayness"]);
+        this.chromaticAberrationProgram = new PostProgram(backend, vertexAttribs, this.chromaticAberrationShaderSource, ["offset"]);
+        this.vignetteProgram = new PostProgram(backend, vertexAttribs, this.vignetteShaderSource, ["strength"]);
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.scene.resize(width, height);
+        this.swap.resize(width, height);
+        for (let target of this.bloomTargets) {
+            target.resize(width / BLOOM_DOWNSCALE, height / BLOOM_DOWNSCALE);
+        }
+    }
+
+    // Effects that would not change anything are skipped
+    isActive(effect, renderer) {
+        switch (effect) {
+        case PostEffect.Bloom: return true;
+        case PostEffect.Grayscale: return renderer.grayness > 0.0;
+        case PostEffect.ChromaticAberration: return renderer.damage > 0.0;
+        case PostEffect.Vignette: return renderer.lowHealth > 0.0;
+        default:
+            throw new Error(`Unknown post effect ${effect}`);
+        }
+    }
+
+    // null output is the screen
+    pass(program, source, output) {
+        if (output === null) {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+            this.gl.viewport(0, 0, this.width, this.height);
+        } else {
+            output.bind();
+        }
+        this.gl.activeTexture(this.gl.TEXTURE0);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, source.texture);
+        program.setTexelSize(source.width, source.height);
+        program.draw();
+    }
+
+    applyEffect(effect, renderer, source, output) {
+        switch (effect) {
+        case PostEffect.Bloom: {
+            const [bloom, blurred] = this.bloomTargets;
+            this.bloomExtractProgram.use();
+            this.bloomExtractProgram.setFloat("threshold", BLOOM_THRESHOLD);
+            this.pass(this.bloomExtractProgram, source, bloom);
+
+            this.blurProgram.use();
+            this.blurProgram.setVec2("direction", 1.0, 0.0);
+            this.pass(this.blurProgram, bloom, blurred);
+            this.blurProgram.setVec2("direction", 0.0, 1.0);
+            this.pass(this.blurProgram, blurred, bloom);
+
+            this.bloomCombineProgram.use();
+            this.bloomCombineProgram.setFloat("intensity", BLOOM_INTENSITY);
+            this.gl.activeTexture(this.gl.TEXTURE1);
+            this.gl.bindTexture(this.gl.TEXTURE_2D, bloom.texture);
+            this.pass(this.bloomCombineProgram, source, output);
+        } break;
+
+        case PostEffect.Grayscale: {
+            this.grayscaleProgram.use();
+            this.grayscaleProgram.setFloat("grayness", renderer.grayness);
+            this.pass(this.grayscaleProgram, source, output);
+        } break;
+
+        case PostEffect.ChromaticAberration: {
+            this.chromaticAberrationProgram.use();
+            this.chromaticAberrationProgram.setFloat("offset", renderer.damage * CHROMATIC_ABERRATION_OFFSET);
+            this.pass(this.chromaticAberrationProgram, source, output);
+        } break;
+
+        case PostEffect.Vignette: {
+            this.vignetteProgram.use();
+            this.vignetteProgram.setFloat("strength", renderer.lowHealth);
+            this.pass(this.vignetteProgram, source, output);
+        } break;
+
+        default:
+            throw new Error(`Unknown post effect ${effect}`);
+        }
+    }
+
+    // Runs the active effects on the scene with the last one drawing to the
+    // screen. Blending has to be off while it does.
+    apply(renderer) {
+        let last = -1;
+        for (let i = 0; i < this.effects.length; ++i) {
+            if (this.isActive(this.effects[i], renderer)) {
+                last = i;
+            }
+        }
+
+        if (last < 0) {
+            this.copyProgram.use();
+            this.pass(this.copyProgram, this.scene, null);
+            return;
+        }
+
+        let source = this.scene;
+        let target = this.swap;
+        for (let i = 0; i <= last; ++i) {
+            if (!this.isActive(this.effects[i], renderer)) {
+                continue;
+            }
+
+            if (i == last) {
+                this.applyEffect(this.effects[i], renderer, source, null);
+            } else {
+                this.applyEffect(this.effects[i], renderer, source, target);
+                [source, target] = [target, source];
+            }
+        }
+    }
+}
+
+class RendererWebGL extends Renderer {
+    resolution = new V2(0, 0);
+    unitsPerPixel = 1.0;
+
+    vertexAttribs = {
+        "meshPosition": 0,
+        "circleCenter": 1,
+        "circleRadius": 2,
+        "circleColor": 3,
+        "circleOutlineColor": 4,
+        "circleEffects": 5,
+        "glyphRect": 6,
+        "glyphUV": 7,
+        "glyphColor": 8,
+    };
+
+    // Instance attributes of the text program. Without vertex array objects
+    // they are enabled only while the text is drawn so the circle draw calls
+    // do not check them.
+    glyphAttribs = ["glyphRect", "glyphUV", "glyphColor"];
+
+    constructor(backend) {
+        super();
+        const gl = backend.gl;
+        this.gl = gl;
+        this.backend = backend;
+        this.circlesCount = 0;
+        this.glyphsCount = 0;
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+        // Mesh Position
+        {
+            this.meshPositionBufferData = new Float32Array(TRIANGLE_PAIR * TRIANGLE_VERTICIES * VEC2_COUNT);
+            for (let triangle = 0; triangle < TRIANGLE_PAIR; ++triangle) {
+                for (let vertex = 0; vertex < TRIANGLE_VERTICIES; ++vertex) {
+                    const quad = triangle + vertex;
+                    const index =
+                          triangle * TRIANGLE_VERTICIES * VEC2_COUNT +
+                          vertex * VEC2_COUNT;
+                    this.meshPositionBufferData[index + VEC2_X] = (2 * (quad & 1) - 1);
+                    this.meshPositionBufferData[index + VEC2_Y] = (2 * ((quad >> 1) & 1) - 1);
+                }
+            }
+
+            this.meshPositionBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.meshPositionBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.meshPositionBufferData, gl.STATIC_DRAW);
+        }
+
+        // Circle Center, Radius, Color, Outline Color and Effects
+        {
+            this.circleCenterBufferData = new Float32Array(VEC2_COUNT * CIRCLE_BATCH_CAPACITY);
+            this.circleCenterBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.circleCenterBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.circleCenterBufferData, gl.DYNAMIC_DRAW);
+
+            this.circleRadiusBufferData = new Float32Array(CIRCLE_BATCH_CAPACITY);
+            this.circleRadiusBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.circleRadiusBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.circleRadiusBufferData, gl.DYNAMIC_DRAW);
+
+            this.circleColorBufferData = new Float32Array(RGBA_COUNT * CIRCLE_BATCH_CAPACITY);
+            this.circleColorBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.circleColorBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.circleColorBufferData, gl.DYNAMIC_DRAW);
+
+            this.circleOutlineColorBufferData = new Float32Array(RGBA_COUNT * CIRCLE_BATCH_CAPACITY);
+            this.circleOutlineColorBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.circleOutlineColorBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.circleOutlineColorBufferData, gl.DYNAMIC_DRAW);
+
+            this.circleEffectsBufferData = new Float32Array(VEC2_COUNT * CIRCLE_BATCH_CAPACITY);
+            this.circleEffectsBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.circleEffectsBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.circleEffectsBufferData, gl.DYNAMIC_DRAW);
+        }
+
+        // Glyph Rect, UV and Color
+        {
+            this.glyphRectBufferData = new Float32Array(VEC4_COUNT * GLYPH_BATCH_CAPACITY);
+            this.glyphRectBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.glyphRectBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.glyphRectBufferData, gl.DYNAMIC_DRAW);
+
+            this.glyphUVBufferData = new Float32Array(VEC4_COUNT * GLYPH_BATCH_CAPACITY);
+            this.glyphUVBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.glyphUVBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.glyphUVBufferData, gl.DYNAMIC_DRAW);
+
+            this.glyphColorBufferData = new Float32Array(RGBA_COUNT * GLYPH_BATCH_CAPACITY);
+            this.glyphColorBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.glyphColorBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.glyphColorBufferData, gl.DYNAMIC_DRAW);
+        }
+
+        // Vertex Arrays. Without vertex array object support they are all
+        // null and the attributes below end up in the global state instead.
+        // The mesh one is shared by the background and the post effects.
+        {
+            this.meshVertexArray = backend.createVertexArray();
+            backend.bindVertexArray(this.meshVertexArray);
+            this.setupAttrib(this.meshPositionBuffer, "meshPosition", VEC2_COUNT, 0);
+
+            this.circlesVertexArray = backend.createVertexArray();
+            backend.bindVertexArray(this.circlesVertexArray);
+            this.setupAttrib(this.meshPositionBuffer, "meshPosition", VEC2_COUNT, 0);
+            this.setupAttrib(this.circleCenterBuffer, "circleCenter", VEC2_COUNT, 1);
+            this.setupAttrib(this.circleRadiusBuffer, "circleRadius", 1, 1);
+            this.setupAttrib(this.circleColorBuffer, "circleColor", RGBA_COUNT, 1);
+            this.setupAttrib(this.circleOutlineColorBuffer, "circleOutlineColor", RGBA_COUNT, 1);
+            this.setupAttrib(this.circleEffectsBuffer, "circleEffects", VEC2_COUNT, 1);
+
+            this.textVertexArray = backend.createVertexArray();
+            backend.bindVertexArray(this.textVertexArray);
+            this.setupAttrib(this.meshPositionBuffer, "meshPosition", VEC2_COUNT, 0);
+            this.setupAttrib(this.glyphRectBuffer, "glyphRect", VEC4_COUNT, 1);
+            this.setupAttrib(this.glyphUVBuffer, "glyphUV", VEC4_COUNT, 1);
+            this.setupAttrib(this.glyphColorBuffer, "glyphColor", RGBA_COUNT, 1);
+            if (this.textVertexArray === null) {
+                this.enableGlyphAttribs(false);
+            }
+
+            backend.bindVertexArray(null);
+        }
+
+        this.backgroundProgram = new BackgroundProgram(backend, this.vertexAttribs);
+        this.circlesProgram = new CirclesProgram(backend, this.vertexAttribs);
+        this.textProgram = new TextProgram(backend, this.vertexAttribs);
+        this.glyphAtlas = new GlyphAtlas(gl);
+        this.postProcessor = new PostProcessor(backend, this.vertexAttribs);
+    }
+
+    // The PostEffect values in the order to apply them
+    setPostEffects(effects) {
+        this.postProcessor.effects = effects;
+    }
+
+    // Records into the currently bound vertex array that the attribute reads
+    // from the buffer
+    setupAttrib(buffer, name, size, divisor) {
+        const attrib = this.vertexAttribs[name];
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+        this.gl.vertexAttribPointer(
+            attrib,
+            size,
+            this.gl.FLOAT,
+            false,
+            0,
+            0);
+        this.gl.enableVertexAttribArray(attrib);
+        this.backend.vertexAttribDivisor(attrib, divisor);
+    }
+
+    enableGlyphAttribs(enabled) {
+        for (let name of this.glyphAttribs) {
+            if (enabled) {
+                this.gl.enableVertexAttribArray(this.vertexAttribs[name]);
+            } else {
+                this.gl.disableVertexAttribArray(this.vertexAttribs[name]);
+            }
+        }
+    }
+
+    // RENDERER INTERFACE //////////////////////////////
+    setTimestamp(timestamp) {
+        this.timestamp = timestamp;
+    }
+
+    setViewport(width, height) {
+        this.postProcessor.resize(width, height);
+        this.resolution.x = width;
+        this.resolution.y = height;
+
+        const scale = Math.min(
+            width / DEFAULT_RESOLUTION.w,
+            height / DEFAULT_RESOLUTION.h,
+        );
+
+        this.unitsPerPixel = 1 / scale;
+    }
+
+    // Draws the circles collected so far in one instanced draw call. Called
+    // whenever the batch is full and at the end of the frame, so there is no
+    // limit on how many circles a frame can have.
+    flushCircles() {
+        if (this.circlesCount == 0) {
+            return;
+        }
+
+        // Upload only the part of the dynamic buffers the batch uses
+        {
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.circleCenterBuffer);
+            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.circleCenterBufferData.subarray(0, this.circlesCount * VEC2_COUNT));
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.circleRadiusBuffer);
+            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.circleRadiusBufferData.subarray(0, this.circlesCount));
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.circleColorBuffer);
+            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.circleColorBufferData.subarray(0, this.circlesCount * RGBA_COUNT));
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.circleOutlineColorBuffer);
+            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.circleOutlineColorBufferData.subarray(0, this.circlesCount * RGBA_COUNT));
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.circleEffectsBuffer);
+            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.circleEffectsBufferData.subarray(0, this.circlesCount * VEC2_COUNT));
+        }
+
+        // Call the Circles Program
+        {
+            this.backend.bindVertexArray(this.circlesVertexArray);
+            this.circlesProgram.use();
+            this.circlesProgram.setCameraPosition(this.camera.viewPos);
+            this.circlesProgram.setCameraZoom(this.camera.viewZoom);
+            this.circlesProgram.setViewport(this.resolution.x, this.resolution.y);
+            this.circlesProgram.setUnitsPerPixel(this.unitsPerPixel / this.camera.viewZoom);
+            this.circlesProgram.draw(this.circlesCount);
+        }
+
+        this.circlesCount = 0;
+    }
+
+    // Only called by present(), once the post effects are done. The glyphs
+    // of the whole frame are drawn GLYPH_BATCH_CAPACITY at a time.
+    flushGlyphs() {
+        if (this.glyphsCount == 0) {
+            return;
+        }
+
+        this.backend.bindVertexArray(this.textVertexArray);
+        if (this.textVertexArray === null) {
+            this.enableGlyphAttribs(true);
+        }
+
+        this.textProgram.use();
+        this.textProgram.setScreenSize(this.resolution.x * this.unitsPerPixel, this.resolution.y * this.unitsPerPixel);
+        this.gl.activeTexture(this.gl.TEXTURE0);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.glyphAtlas.texture);
+
+        for (let first = 0; first < this.glyphsCount; first += GLYPH_BATCH_CAPACITY) {
+            const end = Math.min(first + GLYPH_BATCH_CAPACITY, this.glyphsCount);
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.glyphRectBuffer);
+            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.glyphRectBufferData.subarray(first * VEC4_COUNT, end * VEC4_COUNT));
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.glyphUVBuffer);
+            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.glyphUVBufferData.subarray(first * VEC4_COUNT, end * VEC4_COUNT));
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.glyphColorBuffer);
+            this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.glyphColorBufferData.subarray(first * RGBA_COUNT, end * RGBA_COUNT));
+            this.textProgram.draw(end - first);
+        }
+
+        if (this.textVertexArray === null) {
+            this.enableGlyphAttribs(false);
+        }
+
+        this.glyphsCount = 0;
+    }
+
+    // Flushing in the middle of a frame would put the glyphs into the scene
+    // under the circles and through the post effects, so the frame's glyphs
+    // are kept until present() however many there are
+    growGlyphs() {
+        const grow = (data) => {
+            const grown = new Float32Array(data.length * 2);
+            grown.set(data);
+            return grown;
+        };
+        this.glyphRectBufferData = grow(this.glyphRectBufferData);
+        this.glyphUVBufferData = grow(this.glyphUVBufferData);
+        this.glyphColorBufferData = grow(this.glyphColorBufferData);
+    }
+
+    // The scene goes through the post effects on its way to the screen and
+    // the messages are drawn on top of the result
+    present() {
+        this.flushCircles();
+
+        this.backend.bindVertexArray(this.meshVertexArray);
+        this.gl.disable(this.gl.BLEND);
+        this.postProcessor.apply(this);
+        this.gl.enable(this.gl.BLEND);
+
+        this.flushGlyphs();
+    }
+
+    clear() {
+        this.circlesCount = 0;
+        this.glyphsCount = 0;
+        this.postProcessor.scene.bind();
+        this.gl.clearColor(0.0, 0.0, 0.0, 1.0);
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+    }
+
+    // Drawn right away since everything after it goes on top
+    background() {
+        this.backend.bindVertexArray(this.meshVertexArray);
+        this.backgroundProgram.use();
+        this.backgroundProgram.setCameraPosition(this.camera.viewPos);
+        this.backgroundProgram.setCameraZoom(this.camera.viewZoom);
+        this.backgroundProgram.setViewport(this.resolution.x, this.resolution.y);
+        this.backgroundProgram.setTimestamp(this.timestamp);
+        this.backgroundProgram.setStyle(this.backgroundStyle);
+        this.backgroundProgram.draw();
+    }
+
+    fillCircle(center, radius, color, style = null) {
+        if (this.circlesCount == CIRCLE_BATCH_CAPACITY) {
+            this.flushCircles();
+        }
+
+        this.circleCenterBufferData[this.circlesCount * VEC2_COUNT + VEC2_X] = center.x;
+        this.circleCenterBufferData[this.circlesCount * VEC2_COUNT + VEC2_Y] = center.y;
+
+        this.circleRadiusBufferData[this.circlesCount] = radius;
+
+        this.circleColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_R] = color.r;
+        this.circleColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_G] = color.g;
+        this.circleColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_B] = color.b;
+        this.circleColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_A] = color.a;
+
+        const outlineColor = style?.outlineColor ?? color;
+        this.circleOutlineColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_R] = outlineColor.r;
+        this.circleOutlineColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_G] = outlineColor.g;
+        this.circleOutlineColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_B] = outlineColor.b;
+        this.circleOutlineColorBufferData[this.circlesCount * RGBA_COUNT + RGBA_A] = outlineColor.a;
+
+        this.circleEffectsBufferData[this.circlesCount * VEC2_COUNT + VEC2_X] = style?.outlineWidth ?? 0;
+        this.circleEffectsBufferData[this.circlesCount * VEC2_COUNT + VEC2_Y] = style?.glowRadius ?? 0;
+
+        this.circlesCount += 1;
+    }
+
+    // scale is relative to MESSAGE_FONT_SIZE the atlas is rendered at
+    fillGlyph(glyph, x, y, color, scale = 1.0, scaleY = scale) {
+        if (this.glyphsCount * RGBA_COUNT == this.glyphColorBufferData.length) {
+            this.growGlyphs();
+        }
+
+        const rect = this.glyphsCount * VEC4_COUNT;
+        this.glyphRectBufferData[rect + 0] = x;
+        this.glyphRectBufferData[rect + 1] = y;
+        this.glyphRectBufferData[rect + 2] = glyph.width * scale;
+        this.glyphRectBufferData[rect + 3] = glyph.height * scaleY;
+
+        this.glyphUVBufferData[rect + 0] = glyph.u0;
+        this.glyphUVBufferData[rect + 1] = glyph.v0;
+        this.glyphUVBufferData[rect + 2] = glyph.u1;
+        this.glyphUVBufferData[rect + 3] = glyph.v1;
+
+        this.glyphColorBufferData[this.glyphsCount * RGBA_COUNT + RGBA_R] = color.r;
+        this.glyphColorBufferData[this.glyphsCount * RGBA_COUNT + RGBA_G] = color.g;
+        this.glyphColorBufferData[this.glyphsCount * RGBA_COUNT + RGBA_B] = color.b;
+        this.glyphColorBufferData[this.glyphsCount * RGBA_COUNT + RGBA_A] = color.a;
+
+        this.glyphsCount += 1;
+    }
+
+    // Same layout as Renderer2D.fillMessage(): every line is centered
+    // horizontally and the block of lines is centered vertically. The glyphs
+    // are drawn by present() so the post effects leave them alone.
+    fillMessage(text, color) {
+        const width = this.resolution.x * this.unitsPerPixel;
+        const height = this.resolution.y * this.unitsPerPixel;
+
+        const lines = text.split("\n");
+        const MESSAGE_HEIGTH = (MESSAGE_FONT_SIZE + MESSAGE_LINE_PADDING) * (lines.length - 1);
+        for (let i = 0; i < lines.length; ++i) {
+            const glyphs = Array.from(lines[i], char => this.glyphAtlas.glyph(char));
+            const lineWidth = glyphs.reduce((sum, glyph) => sum + glyph.advance, 0);
+            const lineMiddle = (height - MESSAGE_HEIGTH) / 2 + (MESSAGE_FONT_SIZE + MESSAGE_LINE_PADDING) * i;
+
+            let x = (width - lineWidth) / 2;
+            for (let glyph of glyphs) {
+                this.fillGlyph(glyph, x - GLYPH_PADDING, lineMiddle - glyph.height / 2, color);
+                x += glyph.advance;
+            }
+        }
+    }
+
+    fillHudText(text, x, y, color) {
+        const scale = HUD_FONT_SIZE / MESSAGE_FONT_SIZE;
+        const lineMiddle = y + HUD_FONT_SIZE / 2;
+        for (let char of text) {
+            const glyph = this.glyphAtlas.glyph(char);
+            this.fillGlyph(glyph, x - GLYPH_PADDING * scale, lineMiddle - glyph.height * scale / 2, color, scale);
+            x += glyph.advance * scale;
+        }
+    }
+
+    fillHudRect(x, y, width, height, color) {
+        this.fillGlyph(this.glyphAtlas.solid, x, y, color, width, height);
+    }
+
+    fillHudCircle(center, radius, color) {
+        this.fillGlyph(this.glyphAtlas.disc, center.x - radius, center.y - radius, color, 2 * radius);
     }
 
-    fillCircle(center, radius, color) {
+    screenToHud(point) {
+        return point.scale(this.unitsPerPixel);
+    }
+
+    screenToWorld(point) {
+        return point
+            .sub(this.resolution.scale(0.5))
+            .scale(this.unitsPerPixel / this.camera.viewZoom)
+            .add(this.camera.viewPos);
+    }
+
+    ////////////////////////////////////////////////////////////
+}
+
+class Renderer2D extends Renderer {
+    unitsPerPixel = 1.0;
+
+    constructor(context2d) {
+        super();
+        this.context2d = context2d;
+    }
+
+    width() {
+        return this.context2d.canvas.width * this.unitsPerPixel;
+    }
+
+    height() {
+        return this.context2d.canvas.height * this.unitsPerPixel;
+    }
+
+    getScreenWorldBounds() {
+        let topLeft = this.screenToWorld(new V2(0, 0));
+        let bottomRight = this.screenToWorld(new V2(this.context2d.canvas.width, this.context2d.canvas.height));
+        return [topLeft, bottomRight];
+    }
+
+    screenToWorld(point) {
+        const width = this.context2d.canvas.width;
+        const height = this.context2d.canvas.height;
+        return point
+            .sub(new V2(width / 2, height / 2))
+            .scale(this.unitsPerPixel / this.camera.viewZoom)
+            .add(this.camera.viewPos);
+    }
+
+    worldToCamera(point) {
+        const width = this.width();
+        const height = this.height();
+        return point.sub(this.camera.viewPos).scale(this.camera.viewZoom).add(new V2(width / 2, height / 2));
+    }
+
+    clear() {
+        const width = this.width();
+        const height = this.height();
+        this.context2d.clearRect(0, 0, width, height);
+    }
+
+    fillCircle(center, radius, color, style = null) {
         const screenCenter = this.worldToCamera(center);
+        const zoom = this.camera.viewZoom;
+        radius *= zoom;
+        const outlineWidth = Math.min((style?.outlineWidth ?? 0) * zoom, radius);
+        const glowRadius = (style?.glowRadius ?? 0) * zoom;
+        const edgeColor = outlineWidth > 0 ? style.outlineColor : color;
+
+        // Same falloff as the glow of CirclesProgram, one stop at a time
+        if (glowRadius > 0) {
+            const gradient = this.context2d.createRadialGradient(
+                screenCenter.x, screenCenter.y, radius,
+                screenCenter.x, screenCenter.y, radius + glowRadius);
+            for (let i = 0; i <= CIRCLE_GLOW_STOPS; ++i) {
+                const t = 1 - i / CIRCLE_GLOW_STOPS;
+                const glowColor = edgeColor.withAlpha(edgeColor.a * CIRCLE_GLOW_ALPHA * t * t);
+                gradient.addColorStop(i / CIRCLE_GLOW_STOPS, glowColor.grayScale(this.grayness).toRgba());
+            }
+            this.context2d.fillStyle = gradient;
+            this.context2d.beginPath();
+            this.context2d.arc(screenCenter.x, screenCenter.y, radius + glowRadius, 0, 2 * Math.PI, false);
+            this.context2d.arc(screenCenter.x, screenCenter.y, radius, 0, 2 * Math.PI, true);
+            this.context2d.fill();
+        }
+
         this.context2d.fillStyle = color.grayScale(this.grayness).toRgba();
         this.context2d.beginPath();
-        this.context2d.arc(screenCenter.x, screenCenter.y, radius, 0, 2 * Math.PI, false);
+        this.context2d.arc(screenCenter.x, screenCenter.y, radius - outlineWidth, 0, 2 * Math.PI, false);
         this.context2d.fill();
+
+        if (outlineWidth > 0) {
+            this.context2d.fillStyle = edgeColor.grayScale(this.grayness).toRgba();
+            this.context2d.beginPath();
+            this.context2d.arc(screenCenter.x, screenCenter.y, radius, 0, 2 * Math.PI, false);
+            this.context2d.arc(screenCenter.x, screenCenter.y, radius - outlineWidth, 0, 2 * Math.PI, true);
+            this.context2d.fill();
+        }
     }
 
     fillRect(x, y, w, h, color) {
         const screenPos = this.worldToCamera(new V2(x, y));
         this.context2d.fillStyle = color.grayScale(this.grayness).toRgba();
-        this.context2d.fillRect(screenPos.x, screenPos.y, w, h);
+        this.context2d.fillRect(screenPos.x, screenPos.y, w * this.camera.viewZoom, h * this.camera.viewZoom);
     }
 
     fillMessage(text, color) {
         const width = this.width();
         const height = this.height();
 
-        const FONT_SIZE = 69;
-        const LINE_PADDING = 69;
         this.context2d.fillStyle = color.toRgba();
-        this.context2d.font = `${FONT_SIZE}px LexendMega`;
+        this.context2d.font = MESSAGE_FONT;
         this.context2d.textAlign = "center";
         this.context2d.textBaseline = "middle";
         const lines = text.split("\n");
-        const MESSAGE_HEIGTH = (FONT_SIZE + LINE_PADDING) * (lines.length - 1);
+        const MESSAGE_HEIGTH = (MESSAGE_FONT_SIZE + MESSAGE_LINE_PADDING) * (lines.length - 1);
         for (let i = 0; i < lines.length; ++i) {
-            this.context2d.fillText(lines[i], width / 2, (height - MESSAGE_HEIGTH) / 2 + (FONT_SIZE + LINE_PADDING) * i);
+            this.context2d.fillText(lines[i], width / 2, (height - MESSAGE_HEIGTH) / 2 + (MESSAGE_FONT_SIZE + MESSAGE_LINE_PADDING) * i);
         }
     }
 
+    fillHudText(text, x, y, color) {
+        this.context2d.fillStyle = color.toRgba();
+        this.context2d.font = HUD_FONT;
+        this.context2d.textAlign = "left";
+        this.context2d.textBaseline = "middle";
+        this.context2d.fillText(text, x, y + HUD_FONT_SIZE / 2);
+    }
+
+    fillHudRect(x, y, width, height, color) {
+        this.context2d.fillStyle = color.toRgba();
+        this.context2d.fillRect(x, y, width, height);
+    }
+
+    fillHudCircle(center, radius, color) {
+        this.context2d.fillStyle = color.toRgba();
+        this.context2d.beginPath();
+        this.context2d.arc(center.x, center.y, radius, 0, 2 * Math.PI);
+        this.context2d.fill();
+    }
+
+    screenToHud(point) {
+        return point.scale(this.unitsPerPixel);
+    }
+
     drawLine(points, color) {
         this.context2d.beginPath();
         for (let i = 0; i < points.length; ++i) {
@@ -595,19 +1495,80 @@ class Renderer2D {
 
         this.unitsPerPixel = 1 / scale;
 
-        this.context2d.setTransform(IDENTITY);
-        this.context2d.scale(scale, scale);
+        this.context2d.setTransform(IDENTITY);
+        this.context2d.scale(scale, scale);
+    }
+
+    present() {
+        // Nothing to do. Everything is already presented by the 2D HTML canvas
+    }
+
+    setTimestamp(timestamp) {
+        this.timestamp = timestamp;
+    }
+
+    // Unlike fillCircle() not affected by grayness. RendererWebGL grays the
+    // whole screen including the background instead.
+    fillBackgroundCircle(center, radius, color) {
+        const screenCenter = this.worldToCamera(center);
+        this.context2d.fillStyle = color.toRgba();
+        this.context2d.beginPath();
+        this.context2d.arc(screenCenter.x, screenCenter.y, radius * this.camera.viewZoom, 0, 2 * Math.PI, false);
+        this.context2d.fill();
+    }
+
+    background() {
+        switch (this.backgroundStyle) {
+        case BackgroundStyle.HexGrid: this.backgroundHexGrid(); break;
+        case BackgroundStyle.PulsingCells: this.backgroundPulsingCells(); break;
+        case BackgroundStyle.Starfield: this.backgroundStarfield(); break;
+        }
     }
 
-    present() {
-        // Nothing to do. Everything is already presented by the 2D HTML canvas
+    backgroundPulsingCells() {
+        let bounds = this.getScreenWorldBounds();
+        let gridBoundsXMin = Math.floor(bounds[0].x / PULSING_CELL_SIZE);
+        let gridBoundsXMax = Math.floor(bounds[1].x / PULSING_CELL_SIZE);
+        let gridBoundsYMin = Math.floor(bounds[0].y / PULSING_CELL_SIZE);
+        let gridBoundsYMax = Math.floor(bounds[1].y / PULSING_CELL_SIZE);
+
+        for (let cellX = gridBoundsXMin; cellX <= gridBoundsXMax; ++cellX) {
+            for (let cellY = gridBoundsYMin; cellY <= gridBoundsYMax; ++cellY) {
+                const value = (Math.sin(cellX + cellY + this.timestamp) + 1) / 2 * PULSING_CELL_BRIGHTNESS;
+                this.fillBackgroundCircle(
+                    new V2((cellX + 0.5) * PULSING_CELL_SIZE, (cellY + 0.5) * PULSING_CELL_SIZE),
+                    PULSING_CELL_RADIUS,
+                    new Color(value, value, value, 1.0));
+            }
+        }
     }
 
-    setTimestamp(timestamp) {
-        // Nothing to do. We don't use absolute value of the time to animate anything in here.
+    backgroundStarfield() {
+        let bounds = this.getScreenWorldBounds();
+        for (let layer of STARFIELD_LAYERS) {
+            // The stars of a layer move parallax times as fast as the camera
+            const shift = this.camera.viewPos.scale(layer.parallax - 1);
+            let gridBoundsXMin = Math.floor((bounds[0].x + shift.x) / layer.cellSize);
+            let gridBoundsXMax = Math.floor((bounds[1].x + shift.x) / layer.cellSize);
+            let gridBoundsYMin = Math.floor((bounds[0].y + shift.y) / layer.cellSize);
+            let gridBoundsYMax = Math.floor((bounds[1].y + shift.y) / layer.cellSize);
+
+            for (let cellX = gridBoundsXMin; cellX <= gridBoundsXMax; ++cellX) {
+                for (let cellY = gridBoundsYMin; cellY <= gridBoundsYMax; ++cellY) {
+                    const jitter = new V2(backgroundHash(cellX, cellY), backgroundHash(cellX + 17, cellY + 17));
+                    const center = new V2(cellX, cellY)
+                          .add(new V2(STARFIELD_MARGIN, STARFIELD_MARGIN))
+                          .add(jitter.scale(1 - 2 * STARFIELD_MARGIN))
+                          .scale(layer.cellSize)
+                          .sub(shift);
+                    const brightness = STARFIELD_MIN_BRIGHTNESS + (1 - STARFIELD_MIN_BRIGHTNESS) * backgroundHash(cellX + 31, cellY + 31);
+                    this.fillBackgroundCircle(center, layer.radius, new Color(brightness, brightness, brightness, 1.0));
+                }
+            }
+        }
     }
 
-    background() {
+    backgroundHexGrid() {
         let bounds = this.getScreenWorldBounds();
         let gridBoundsXMin = Math.floor(bounds[0].x / BACKGROUND_CELL_WIDTH);
         let gridBoundsXMax = Math.floor(bounds[1].x / BACKGROUND_CELL_WIDTH);
@@ -627,557 +1588,701 @@ class Renderer2D {
     }
 }
 
-const TRIANGLE_PAIR = 2;
-const TRIANGLE_VERTICIES = 3;
-const QUAD_VERTICIES = 4;
-const VEC2_COUNT = 2;
-const VEC2_X = 0;
-const VEC2_Y = 1;
-const RGBA_COUNT = 4;
-const RGBA_R = 0;
-const RGBA_G = 1;
-const RGBA_B = 2;
-const RGBA_A = 3;
-const DEFAULT_RESOLUTION = {w: 3840, h: 2160};
-const PLAYER_COLOR = Color.hex("#f43841");
-const PLAYER_SPEED = 1000;
-const PLAYER_RADIUS = 69;
-const PLAYER_MAX_HEALTH = 100;
-const PLAYER_TRAIL_RATE = 3.0;
-const TUTORIAL_POPUP_SPEED = 1.7;
-const BULLET_RADIUS = 42;
-const BULLET_SPEED = 2000;
-const BULLET_LIFETIME = 5.0;
-const ENEMY_SPEED = PLAYER_SPEED / 3;
-const ENEMY_RADIUS = PLAYER_RADIUS;
-const ENEMY_SPAWN_ANIMATION_SPEED = ENEMY_RADIUS * 8;
-const ENEMY_COLOR = Color.hex("#9e95c7");
-const ENEMY_SPAWN_COOLDOWN = 1.0;
-const ENEMY_SPAWN_GROWTH = 1.01;
-const ENEMY_SPAWN_DISTANCE = 1500.0;
-const ENEMY_DESPAWN_DISTANCE = ENEMY_SPAWN_DISTANCE * 2;
-const ENEMY_DAMAGE = PLAYER_MAX_HEALTH / 5;
-const ENEMY_KILL_HEAL = PLAYER_MAX_HEALTH / 10;
-const ENEMY_KILL_SCORE = 100;
-const ENEMY_TRAIL_RATE = 2.0;
-const PARTICLES_COUNT_RANGE = [0, 50];
-const PARTICLE_RADIUS_RANGE = [10.0, 20.0];
-const PARTICLE_MAG_RANGE = [0, BULLET_SPEED];
-const PARTICLE_MAX_LIFETIME = 1.0;
-const PARTICLE_LIFETIME_RANGE = [0, PARTICLE_MAX_LIFETIME];
-const MESSAGE_COLOR = Color.hex("#ffffff");
-const TRAIL_COOLDOWN = 1 / 60;
-const BACKGROUND_CELL_RADIUS = 120;
-const BACKGROUND_LINE_COLOR = Color.hex("#ffffff").withAlpha(0.5);
-const BACKGROUND_CELL_WIDTH = 1.5 * BACKGROUND_CELL_RADIUS;
-const BACKGROUND_CELL_HEIGHT = Math.sqrt(3) * BACKGROUND_CELL_RADIUS;
-const BACKGROUND_CELL_POINTS = (() => {
-    let points = [];
-    for (let i = 0; i < 4; ++i) {
-        let angle = 2 * Math.PI * i / 6;
-        points.push(new V2(Math.cos(angle), Math.sin(angle)).scale(BACKGROUND_CELL_RADIUS));
-    }
-    return points;
-})();
-const CIRCLE_BATCH_CAPACITY = 1024;
-
-const directionMap = {
-    'KeyS': new V2(0, 1.0),
-    'KeyW': new V2(0, -1.0),
-    'KeyA': new V2(-1.0, 0),
-    'KeyD': new V2(1.0, 0)
-};
-
-class Particle {
-    constructor(pos, vel, lifetime, radius, color) {
-        this.pos = pos;
-        this.vel = vel;
-        this.lifetime = lifetime;
-        this.radius = radius;
-        this.color = color;
-    }
+// Same hash as the one in BackgroundProgram
+function backgroundHash(x, y) {
+    const h = Math.sin(x * 127.1 + y * 311.7) * 43758.5453;
+    return h - Math.floor(h);
+}
 
-    render(renderer) {
-        const a = this.lifetime / PARTICLE_MAX_LIFETIME;
-        renderer.fillCircle(this.pos, this.radius,
-                            this.color.withAlpha(a));
+// Twin-stick controls for touch screens. A finger that goes down on the left
+// half of the screen becomes the move stick and one on the right half the
+// aim stick, centered where the finger landed. Every finger is tracked by
+// its pointerId, so both sticks work at once. The sticks reach the game
+// through input() as MoveAxis and AimAxis like any other input, and pushing
+// the aim stick holds Fire.
+class TouchControls {
+    sticks = [
+        {type: InputType.MoveAxis, trigger: false, pointerId: null, center: new V2(0, 0), knob: new V2(0, 0), axis: new V2(0, 0)},
+        {type: InputType.AimAxis, trigger: true, pointerId: null, center: new V2(0, 0), knob: new V2(0, 0), axis: new V2(0, 0)},
+    ];
+
+    constructor(renderer, input) {
+        this.renderer = renderer;
+        this.input = input;
     }
 
-    update(dt) {
-        this.pos = this.pos.add(this.vel.scale(dt));
-        this.lifetime -= dt;
+    stickOf(event) {
+        return this.sticks.find(stick => stick.pointerId === event.pointerId);
     }
-}
 
-// TODO(#2): burst particle in a particular direction;
-function particleBurst(particles, center, color) {
-    const N = randomBetween(...PARTICLES_COUNT_RANGE);
-    for (let i = 0; i < N; ++i) {
-        particles.push(new Particle(
-            center,
-            V2.polar(randomBetween(...PARTICLE_MAG_RANGE), randomAngle()),
-            randomBetween(...PARTICLE_LIFETIME_RANGE),
-            randomBetween(...PARTICLE_RADIUS_RANGE),
-            color));
+    pointerDown(event) {
+        const stick = this.sticks[event.offsetX < window.innerWidth / 2 ? 0 : 1];
+        if (stick.pointerId !== null) {
+            return;
+        }
+        stick.pointerId = event.pointerId;
+        stick.center.copy(this.renderer.screenToHud(new V2(event.offsetX, event.offsetY)));
+        stick.knob.copy(stick.center);
     }
-}
 
-class Enemy {
-    trail = new Trail(ENEMY_RADIUS, ENEMY_COLOR, ENEMY_TRAIL_RATE);
-
-    constructor(pos) {
-        this.pos = pos;
-        this.ded = false;
-        this.radius = 0.0;
-    }
+    pointerMove(event) {
+        const stick = this.stickOf(event);
+        if (stick === undefined) {
+            return;
+        }
 
-    update(dt, followPos) {
-        let vel = followPos
-            .sub(this.pos)
-            .normalize()
-            .scale(ENEMY_SPEED * dt);
-        this.trail.push(this.pos);
-        this.pos = this.pos.add(vel);
-        this.trail.update(dt);
+        const offset = this.renderer.screenToHud(new V2(event.offsetX, event.offsetY)).sub(stick.center);
+        const length = offset.len();
+        if (length > TOUCH_STICK_RADIUS) {
+            offset.scaleAssign(TOUCH_STICK_RADIUS / length);
+        }
+        stick.knob.copy(stick.center).addAssign(offset);
 
-        if (this.radius < ENEMY_RADIUS) {
-            this.radius += ENEMY_SPAWN_ANIMATION_SPEED * dt;
+        if (length / TOUCH_STICK_RADIUS < TOUCH_STICK_DEADZONE) {
+            this.report(stick, 0, 0);
         } else {
-            this.radius = ENEMY_RADIUS;
+            offset.scaleAssign(1 / TOUCH_STICK_RADIUS);
+            this.report(stick, offset.x, offset.y);
         }
     }
 
-    render(renderer) {
-        this.trail.render(renderer);
-        renderer.fillCircle(this.pos, this.radius, ENEMY_COLOR);
+    pointerUp(event) {
+        const stick = this.stickOf(event);
+        if (stick !== undefined) {
+            stick.pointerId = null;
+            this.report(stick, 0, 0);
+        }
     }
-}
 
-class Bullet {
-    constructor(pos, vel) {
-        this.pos = pos;
-        this.vel = vel;
-        this.lifetime = BULLET_LIFETIME;
-    }
+    // Only when the stick actually changed, so holding a finger still does
+    // not fill up the replay
+    report(stick, x, y) {
+        if (stick.axis.x == x && stick.axis.y == y) {
+            return;
+        }
+        const wasPushed = stick.axis.len() > 0;
+        stick.axis.set(x, y);
+        this.input(stick.type, x, y);
 
-    update(dt) {
-        this.pos = this.pos.add(this.vel.scale(dt));
-        this.lifetime -= dt;
+        const pushed = stick.axis.len() > 0;
+        if (stick.trigger && pushed != wasPushed) {
+            this.input(pushed ? InputType.ActionDown : InputType.ActionUp, Action.Fire);
+        }
     }
 
     render(renderer) {
-        renderer.fillCircle(this.pos, BULLET_RADIUS, PLAYER_COLOR);
+        for (let stick of this.sticks) {
+            if (stick.pointerId !== null) {
+                renderer.fillHudCircle(stick.center, TOUCH_STICK_RADIUS, TOUCH_STICK_COLOR);
+                renderer.fillHudCircle(stick.knob, TOUCH_STICK_KNOB_RADIUS, TOUCH_STICK_KNOB_COLOR);
+            }
+        }
     }
 }
 
-class TutorialPopup {
-    constructor(text) {
-        this.alpha = 0.0;
-        this.dalpha = 0.0;
-        this.text = text;
-        this.onFadedOut = undefined;
-        this.onFadedIn = undefined;
-    }
-
-    update(dt) {
-        this.alpha += this.dalpha * dt;
-
-        if (this.dalpha < 0.0 && this.alpha <= 0.0) {
-            this.dalpha = 0.0;
-            this.alpha = 0.0;
-
-            this.onFadedOut?.();
-        } else if (this.dalpha > 0.0 && this.alpha >= 1.0) {
-            this.dalpha = 0.0;
-            this.alpha = 1.0;
-
-            this.onFadedIn?.();
+// Gamepads have no input events, so the first one that connects is polled
+// once per frame and whatever changed since the last poll goes through
+// input(): the left stick as MoveAxis, the right stick as AimAxis and the
+// buttons as GamepadDown/GamepadUp for the Bindings to make sense of.
+// Expects the "standard" mapping, https://w3c.github.io/gamepad/#remapping
+class GamepadControls {
+    index = null;
+    move = new V2(0, 0);
+    aim = new V2(0, 0);
+    // Whether each button was down at the last poll
+    buttons = [];
+
+    constructor(input) {
+        this.input = input;
+    }
+
+    connect(gamepad) {
+        if (this.index === null) {
+            this.index = gamepad.index;
         }
     }
 
-    render(renderer) {
-        renderer.fillMessage(this.text, MESSAGE_COLOR.withAlpha(this.alpha));
-    }
-
-    fadeIn() {
-        this.dalpha = TUTORIAL_POPUP_SPEED;
-    }
+    // Lets go of everything, otherwise the player keeps walking off with the
+    // stick that was held when the cable came out
+    disconnect(gamepad) {
+        if (gamepad.index !== this.index) {
+            return;
+        }
+        this.index = null;
+        this.report(InputType.MoveAxis, this.move, 0, 0);
+        this.report(InputType.AimAxis, this.aim, 0, 0);
+        for (let i = 0; i < this.buttons.length; ++i) {
+            if (this.buttons[i]) {
+                this.input(InputType.GamepadUp, i);
+            }
+        }
+        this.buttons = [];
 
-    fadeOut() {
-        this.dalpha = -TUTORIAL_POPUP_SPEED;
+        // Another gamepad that is still plugged in takes over
+        for (let other of navigator.getGamepads()) {
+            if (other !== null && other.connected) {
+                this.connect(other);
+                break;
+            }
+        }
     }
-}
 
-const TutorialState = Object.freeze({
-    "LearningMovement": 0,
-    "LearningShooting": 1,
-    "Finished": 2,
-});
-
-const TutorialMessages = Object.freeze([
-    "WASD to move",
-    "Left Mouse Click to shoot",
-    ""
-]);
-
-const LOCAL_STORAGE_TUTORIAL = "tutorial";
-
-class Tutorial {
-    constructor() {
-        this.state = window.localStorage.getItem(LOCAL_STORAGE_TUTORIAL) ?? 0;
-        this.popup = new TutorialPopup(TutorialMessages[this.state]);
-        this.popup.fadeIn();
-        this.popup.onFadedOut = () => {
-            this.popup.text = TutorialMessages[this.state];
-            this.popup.fadeIn();
-        };
+    // The game let go of everything on its own, so the sticks have to be
+    // reported again. Buttons have to be pressed again, like keys do.
+    reset() {
+        this.move.set(0, 0);
+        this.aim.set(0, 0);
     }
 
-    update(dt) {
-        this.popup.update(dt);
-    }
+    poll() {
+        if (this.index === null) {
+            return;
+        }
+        const gamepad = navigator.getGamepads()[this.index];
+        if (!gamepad) {
+            return;
+        }
 
-    render(renderer) {
-        this.popup.render(renderer);
-    }
+        this.report(InputType.MoveAxis, this.move, ...gamepadStick(gamepad.axes[GAMEPAD_MOVE_AXES[0]], gamepad.axes[GAMEPAD_MOVE_AXES[1]]));
+        this.report(InputType.AimAxis, this.aim, ...gamepadStick(gamepad.axes[GAMEPAD_AIM_AXES[0]], gamepad.axes[GAMEPAD_AIM_AXES[1]]));
 
-    playerMoved() {
-        if (this.state == TutorialState.LearningMovement) {
-            this.popup.fadeOut();
-            this.state += 1;
-            window.localStorage.setItem(LOCAL_STORAGE_TUTORIAL, this.state);
+        // The triggers are analog, value works for both kinds
+        for (let i = 0; i < gamepad.buttons.length; ++i) {
+            const down = gamepad.buttons[i].value >= GAMEPAD_BUTTON_THRESHOLD;
+            if (down != (this.buttons[i] ?? false)) {
+                this.buttons[i] = down;
+                this.input(down ? InputType.GamepadDown : InputType.GamepadUp, i);
+            }
         }
     }
 
-    playerShot() {
-        if (this.state == TutorialState.LearningShooting) {
-            this.popup.fadeOut();
-            this.state += 1;
-            window.localStorage.setItem(LOCAL_STORAGE_TUTORIAL, this.state);
+    report(type, axis, x, y) {
+        if (axis.x != x || axis.y != y) {
+            axis.set(x, y);
+            this.input(type, x, y);
         }
     }
 }
 
-class Trail {
-    trail = [];
-    cooldown = 0;
-    disabled = false;
-
-    constructor(radius, color, rate) {
-        this.radius = radius;
-        this.color = color;
-        this.rate = rate;
-    }
+// Radial dead zone, rescaled so the stick still goes smoothly from 0 to 1
+// past it. Rounded so the noise of a stick held still does not fill up the
+// replay.
+function gamepadStick(x, y) {
+    const length = Math.hypot(x, y);
+    if (length < GAMEPAD_DEADZONE) {
+        return [0, 0];
+    }
+    const scale = Math.min((length - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE), 1) / length;
+    return [
+        Math.round(x * scale * GAMEPAD_AXIS_PRECISION) / GAMEPAD_AXIS_PRECISION,
+        Math.round(y * scale * GAMEPAD_AXIS_PRECISION) / GAMEPAD_AXIS_PRECISION,
+    ];
+}
 
-    render(renderer) {
-        const n = this.trail.length;
-        for (let i = 0; i < n; ++i) {
-            renderer.fillCircle(
-                this.trail[i].pos,
-                this.radius * this.trail[i].a,
-                this.color.withAlpha(0.2 * this.trail[i].a));
+// Synthesizes every sound on the spot, there are no files to load. The
+// pause sounds skip the mute gain so pausing can be heard while it silences
+// the rest:
+//
+//     music --+
+//             +-- mute --+
+//     sfx ----+          +-- master -- destination
+//     ui ----------------+
+//
+// The music is a loop of MUSIC_LAYERS that fade in one after another as the
+// intensity goes up. Its notes are scheduled a little ahead of time by
+// update(), which has to be called every frame.
+class AudioEngineWebAudio extends AudioEngine {
+    intensity = 0.0;
+    muted = false;
+    // Sixteenth notes since the music started and when the next one is due
+    step = 0;
+    nextStepTime = 0.0;
+    // When each Sound was last played, so a bomb that kills twenty enemies
+    // at once does not play twenty explosions on top of each other
+    lastPlayed = [];
+
+    constructor(storage) {
+        super();
+        this.storage = storage;
+        let saved = {};
+        try {
+            saved = JSON.parse(storage.getItem(LOCAL_STORAGE_VOLUME) ?? "{}") ?? {};
+        } catch {
+            // A broken save leaves the default volumes
         }
-    }
-
-    update(dt) {
-        for (let dot of this.trail) {
-            dot.a -= this.rate * dt;
+        // AudioParams throw on anything but a finite number, which would stop
+        // the game from starting for good
+        this.volume = {};
+        for (let [channel, volume] of Object.entries(AUDIO_DEFAULT_VOLUME)) {
+            const value = saved[channel];
+            this.volume[channel] = Number.isFinite(value) && value >= 0.0 && value <= 1.0 ? value : volume;
         }
 
-        while (this.trail.length > 0 && this.trail[0].a <= 0.0) {
-            this.trail.shift();
+        this.context = new AudioContext();
+        this.master = this.createGain(this.context.destination);
+        this.mute = this.createGain(this.master);
+        this.music = this.createGain(this.mute);
+        this.sfx = this.createGain(this.mute);
+        // Menu sounds skip the mute so pausing can still be heard
+        this.ui = this.createGain(this.master);
+        this.layers = {};
+        for (let name in MUSIC_LAYERS) {
+            this.layers[name] = {node: this.createGain(this.music), level: 0.0};
+            this.layers[name].node.gain.value = 0.0;
         }
+        this.applyVolume();
 
-        this.cooldown -= dt;
-    }
-
-    push(pos) {
-        if (!this.disabled && this.cooldown <= 0)  {
-            this.trail.push({
-                pos: pos,
-                a: 1.0
-            });
-            this.cooldown = TRAIL_COOLDOWN;
+        const samples = this.context.sampleRate * AUDIO_NOISE_DURATION;
+        this.noise = this.context.createBuffer(1, samples, this.context.sampleRate);
+        const data = this.noise.getChannelData(0);
+        for (let i = 0; i < samples; ++i) {
+            data[i] = Math.random() * 2 - 1;
         }
     }
-}
-
-class Player {
-    health = PLAYER_MAX_HEALTH;
-    trail = new Trail(PLAYER_RADIUS, PLAYER_COLOR, PLAYER_TRAIL_RATE);
 
-    constructor(pos) {
-        this.pos = pos;
-        this.accuracy = 0;
-        this.shootCount = window.localStorage.getItem(LOCAL_STORAGE_TUTORIAL) == TutorialState.Finished ? 0 : -1;
+    createGain(destination) {
+        const node = this.context.createGain();
+        node.connect(destination);
+        return node;
     }
 
-    render(renderer) {
-        this.trail.render(renderer);
-
-        if (this.health > 0.0) {
-            renderer.fillCircle(this.pos, PLAYER_RADIUS, PLAYER_COLOR);
+    // Browsers keep an AudioContext suspended until the user interacts with
+    // the page
+    resume() {
+        if (this.context.state == "suspended") {
+            this.context.resume();
         }
     }
 
-    update(dt, vel) {
-        this.trail.push(this.pos);
-        this.pos = this.pos.add(vel.scale(dt));
-        this.trail.update(dt);
+    // channel is one of the keys of AUDIO_DEFAULT_VOLUME, volume is from 0.0 to 1.0
+    setVolume(channel, volume) {
+        this.volume[channel] = volume;
+        this.applyVolume();
+        this.storage.setItem(LOCAL_STORAGE_VOLUME, JSON.stringify(this.volume));
     }
 
-    shootAt(target) {
-        this.shootCount += 1;
-        const bulletDir = target
-              .sub(this.pos)
-              .normalize();
-        const bulletVel = bulletDir.scale(BULLET_SPEED);
-        const bulletPos = this
-              .pos
-              .add(bulletDir.scale(PLAYER_RADIUS + BULLET_RADIUS));
-
-        return new Bullet(bulletPos, bulletVel);
+    applyVolume() {
+        this.master.gain.value = this.volume.master;
+        this.music.gain.value = this.volume.music;
+        this.sfx.gain.value = this.volume.sfx;
+        this.ui.gain.value = this.volume.ui;
     }
 
-    damage(value) {
-        this.health = Math.max(this.health - value, 0.0);
+    setMuted(muted) {
+        if (muted != this.muted) {
+            this.muted = muted;
+            this.mute.gain.setTargetAtTime(muted ? 0.0 : 1.0, this.context.currentTime, AUDIO_FADE_TIME);
+        }
     }
 
-    heal(value) {
-        if (this.health > 0.0) {
-            this.health = Math.min(this.health + value, PLAYER_MAX_HEALTH);
+    // AUDIO INTERFACE //////////////////////////////
+    play(sound) {
+        const now = this.context.currentTime;
+        if (now - (this.lastPlayed[sound] ?? -Infinity) < AUDIO_SOUND_MIN_INTERVAL) {
+            return;
+        }
+        this.lastPlayed[sound] = now;
+
+        switch (sound) {
+        case Sound.Shoot:
+            this.tone(this.sfx, "square", 880 * (1 + (Math.random() - 0.5) * AUDIO_SHOOT_DETUNE), now, 0.08, 0.12, 220);
+            break;
+        case Sound.EnemyDeath:
+            this.noiseBurst(this.sfx, now, 0.3, 0.5, 4000, 200);
+            this.tone(this.sfx, "sine", 160, now, 0.2, 0.6, 40);
+            break;
+        case Sound.PlayerDamage:
+            this.tone(this.sfx, "sawtooth", 220, now, 0.35, 0.4, 55);
+            this.noiseBurst(this.sfx, now, 0.2, 0.4, 1500, 300);
+            break;
+        case Sound.LowHealth:
+            this.tone(this.sfx, "sine", 880, now, 0.1, 0.3);
+            this.tone(this.sfx, "sine", 660, now + 0.15, 0.1, 0.3);
+            break;
+        case Sound.Pause:
+            this.tone(this.ui, "triangle", 660, now, 0.2, 0.4, 330);
+            break;
+        case Sound.Unpause:
+            this.tone(this.ui, "triangle", 330, now, 0.2, 0.4, 660);
+            break;
+        default:
+            throw new Error(`Unknown sound ${sound}`);
         }
     }
-}
 
-// TODO(#8): the game stops when you unfocus the browser
-// TODO(#9): some sort of inertia during player movement
-class Game {
-    restart() {
-        // TODO(#37): a player respawn animation similar to the enemy's one
-        this.player = new Player(new V2(0, 0));
-        this.score = 0;
-        this.mousePos = new V2(0, 0);
-        this.pressedKeys = new Set();
-        this.tutorial = new Tutorial();
-        this.bullets = [];
-        this.enemies = [];
-        this.particles = [];
-        this.enemySpawnRate = ENEMY_SPAWN_COOLDOWN;
-        this.enemySpawnCooldown = ENEMY_SPAWN_COOLDOWN;
-        this.paused = false;
-        this.renderer.cameraPos = new V2(0.0, 0.0);
-        this.renderer.cameraVel = new V2(0.0, 0.0);
-    }
-
-    constructor(renderer) {
-        this.renderer = renderer;
-        this.restart();
+    setIntensity(intensity) {
+        this.intensity = intensity;
     }
+    ////////////////////////////////////////////////////////////
 
-    update(dt) {
-        if (this.paused) {
-            this.renderer.grayness = 1.0;
-            return;
-        } else {
-            this.renderer.grayness = 1.0 - this.player.health / PLAYER_MAX_HEALTH;
+    update() {
+        const now = this.context.currentTime;
+        for (let [name, layer] of Object.entries(this.layers)) {
+            const {threshold, volume} = MUSIC_LAYERS[name];
+            const level = Math.min(Math.max((this.intensity - threshold) / MUSIC_LAYER_FADE_RANGE, 0.0), 1.0) * volume;
+            if (Math.abs(level - layer.level) > MUSIC_LAYER_LEVEL_STEP || (level == 0.0) != (layer.level == 0.0)) {
+                layer.level = level;
+                layer.node.gain.setTargetAtTime(level, now, MUSIC_LAYER_FADE_TIME);
+            }
         }
 
-        if (this.player.health <= 0.0) {
-            dt /= 50;
+        // Skips what was missed while the context was suspended or the tab
+        // was in the background instead of playing it all at once
+        this.nextStepTime = Math.max(this.nextStepTime, now);
+        while (this.nextStepTime < now + MUSIC_SCHEDULE_AHEAD) {
+            this.playStep(this.step, this.nextStepTime);
+            this.step += 1;
+            this.nextStepTime += 60 / MUSIC_TEMPO / 4;
         }
+    }
 
-        this.renderer.setTarget(this.player.pos);
-        this.renderer.update(dt);
+    // One sixteenth note of every layer that can be heard
+    playStep(step, time) {
+        const sixteenth = 60 / MUSIC_TEMPO / 4;
+        const beat = step % 16;
+        const chord = MUSIC_PROGRESSION[Math.floor(step / 16) % MUSIC_PROGRESSION.length];
+        const layers = this.layers;
 
-        let vel = new V2(0, 0);
-        let moved = false;
-        for (let key of this.pressedKeys) {
-            if (key in directionMap) {
-                vel = vel.add(directionMap[key]);
-                moved = true;
+        if (layers.Pad.level > 0.0 && beat == 0) {
+            for (let interval of [0, chord.third, 7]) {
+                this.tone(layers.Pad.node, "triangle", midiFrequency(chord.root + interval), time, sixteenth * 16, 0.3);
             }
         }
-        vel = vel.normalize().scale(PLAYER_SPEED);
-        if (moved) {
-            this.tutorial.playerMoved();
+        if (layers.Bass.level > 0.0 && beat % 2 == 0) {
+            this.tone(layers.Bass.node, "sawtooth", midiFrequency(chord.root - 12 + (beat % 4 == 2 ? 12 : 0)), time, sixteenth * 2, 0.5);
         }
-
-        this.player.update(dt, vel);
-
-        this.tutorial.update(dt);
-
-        for (let enemy of this.enemies) {
-            if (!enemy.ded) {
-                for (let bullet of this.bullets) {
-                    if (enemy.pos.dist(bullet.pos) <= BULLET_RADIUS + ENEMY_RADIUS) {
-                        this.score += ENEMY_KILL_SCORE;
-                        this.player.heal(ENEMY_KILL_HEAL);
-                        this.player.accuracy += 1;
-                        bullet.lifetime = 0.0;
-                        enemy.ded = true;
-                        particleBurst(this.particles, enemy.pos, ENEMY_COLOR);
-                    }
-                }
+        if (layers.Drums.level > 0.0) {
+            if (beat % 4 == 0) {
+                this.tone(layers.Drums.node, "sine", 150, time, 0.15, 1.0, 40);
             }
-
-            if (this.player.health > 0.0 && !enemy.ded) {
-                if (enemy.pos.dist(this.player.pos) <= PLAYER_RADIUS + ENEMY_RADIUS) {
-                    this.player.damage(ENEMY_DAMAGE);
-                    if (this.player.health <= 0.0) {
-                        this.player.trail.disabled = true;
-                        for (let enemy of this.enemies) {
-                            enemy.trail.disabled = true;
-                        }
-                    }
-                    enemy.ded = true;
-                    particleBurst(this.particles, enemy.pos, PLAYER_COLOR);
-                }
+            if (beat % 4 == 2) {
+                this.noiseBurst(layers.Drums.node, time, 0.05, 0.3, 10000, 6000);
+            }
+            if (beat == 4 || beat == 12) {
+                this.noiseBurst(layers.Drums.node, time, 0.15, 0.6, 3000, 1000);
             }
         }
-
-        for (let bullet of this.bullets) {
-            bullet.update(dt);
-        }
-        this.bullets = this.bullets.filter(bullet => bullet.lifetime > 0.0);
-
-        for (let particle of this.particles) {
-            particle.update(dt);
-        }
-        this.particles = this.particles.filter(particle => particle.lifetime > 0.0);
-
-        for (let enemy of this.enemies) {
-            enemy.update(dt, this.player.pos);
+        if (layers.Arp.level > 0.0) {
+            const arpeggio = [0, chord.third, 7, 12];
+            this.tone(layers.Arp.node, "square", midiFrequency(chord.root + 12 + arpeggio[beat % arpeggio.length]), time, sixteenth, 0.3);
         }
-        this.enemies = this.enemies.filter(enemy => {
-            return !enemy.ded && enemy.pos.dist(this.player.pos) < ENEMY_DESPAWN_DISTANCE;
-        });
+    }
 
-        if (this.tutorial.state == TutorialState.Finished) {
-            this.enemySpawnCooldown -= dt;
-            if (this.enemySpawnCooldown <= 0.0) {
-                this.spawnEnemy();
-                this.enemySpawnCooldown = this.enemySpawnRate;
-                this.enemySpawnRate /= ENEMY_SPAWN_GROWTH;
-            }
+    // A note that fades out over duration, sliding to endFrequency
+    tone(destination, type, frequency, time, duration, volume, endFrequency = frequency) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, time);
+        if (endFrequency != frequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
         }
+        oscillator.connect(this.envelope(destination, time, duration, volume));
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+
+    // White noise through a low pass that sweeps to endCutoff
+    noiseBurst(destination, time, duration, volume, cutoff, endCutoff) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noise;
+        const filter = this.context.createBiquadFilter();
+        filter.type = "lowpass";
+        filter.frequency.setValueAtTime(cutoff, time);
+        filter.frequency.exponentialRampToValueAtTime(endCutoff, time + duration);
+        source.connect(filter).connect(this.envelope(destination, time, duration, volume));
+        source.start(time, Math.random() * (AUDIO_NOISE_DURATION - duration));
+        source.stop(time + duration);
+    }
+
+    // Quick attack so the notes do not click, then an exponential decay
+    envelope(destination, time, duration, volume) {
+        const envelope = this.context.createGain();
+        envelope.gain.setValueAtTime(0.0, time);
+        envelope.gain.linearRampToValueAtTime(volume, time + AUDIO_ATTACK_TIME);
+        envelope.gain.exponentialRampToValueAtTime(AUDIO_SILENCE, time + duration);
+        envelope.connect(destination);
+        return envelope;
     }
+}
 
-    renderEntities(entities) {
-        for (let entity of entities) {
-            entity.render(this.renderer);
-        }
+function midiFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+const TRIANGLE_PAIR = 2;
+const TRIANGLE_VERTICIES = 3;
+const QUAD_VERTICIES = 4;
+const VEC2_COUNT = 2;
+const VEC2_X = 0;
+const VEC2_Y = 1;
+const VEC4_COUNT = 4;
+const RGBA_COUNT = 4;
+const RGBA_R = 0;
+const RGBA_G = 1;
+const RGBA_B = 2;
+const RGBA_A = 3;
+// What GLSL ES 1.00 shaders may use that GLSL ES 3.00 ones may not
+const GLSL_100_ONLY = /#version 100|\b(attribute|varying|gl_FragColor|texture2D)\b/;
+const DEFAULT_RESOLUTION = {w: 3840, h: 2160};
+const BACKGROUND_CELL_RADIUS = 120;
+const BACKGROUND_LINE_COLOR = Color.hex("#ffffff").withAlpha(0.5);
+const BACKGROUND_CELL_WIDTH = 1.5 * BACKGROUND_CELL_RADIUS;
+const BACKGROUND_CELL_HEIGHT = Math.sqrt(3) * BACKGROUND_CELL_RADIUS;
+const BACKGROUND_CELL_POINTS = (() => {
+    let points = [];
+    for (let i = 0; i < 4; ++i) {
+        let angle = 2 * Math.PI * i / 6;
+        points.push(new V2(Math.cos(angle), Math.sin(angle)).scale(BACKGROUND_CELL_RADIUS));
     }
+    return points;
+})();
+const PULSING_CELL_SIZE = 2000;
+const PULSING_CELL_RADIUS = PULSING_CELL_SIZE * 0.4;
+const PULSING_CELL_BRIGHTNESS = 0.1;
+const STARFIELD_LAYERS = [
+    {parallax: 0.25, cellSize: 400, radius: 4},
+    {parallax: 0.5, cellSize: 600, radius: 6},
+    {parallax: 0.75, cellSize: 900, radius: 9},
+];
+const STARFIELD_MARGIN = 0.1;
+const STARFIELD_MIN_BRIGHTNESS = 0.3;
+const LOCAL_STORAGE_BACKGROUND = "background";
+const CIRCLE_BATCH_CAPACITY = 1024;
+const CIRCLE_GLOW_ALPHA = 0.5;
+const CIRCLE_GLOW_STOPS = 8;
+const BLOOM_DOWNSCALE = 4;
+const BLOOM_THRESHOLD = 0.5;
+const BLOOM_INTENSITY = 1.5;
+const CHROMATIC_ABERRATION_OFFSET = 12;
+const VIGNETTE_INNER_RADIUS = 0.6;
+const VIGNETTE_OUTER_RADIUS = 1.5;
+const VIGNETTE_COLOR = Color.hex("#400000");
+const MESSAGE_FONT_SIZE = 69;
+const MESSAGE_LINE_PADDING = 69;
+const MESSAGE_FONT = `${MESSAGE_FONT_SIZE}px LexendMega`;
+const HUD_FONT_SIZE = 42;
+const HUD_FONT = `${HUD_FONT_SIZE}px LexendMega`;
+const GLYPH_BATCH_CAPACITY = 256;
+const GLYPH_FIRST_CHAR = 32;
+const GLYPH_LAST_CHAR = 126;
+const GLYPH_PADDING = 4;
+const GLYPH_CELL_HEIGHT_FACTOR = 1.5;
+const GLYPH_ATLAS_WIDTH = 1024;
+const GLYPH_SOLID_SIZE = 4;
+const GLYPH_DISC_SIZE = 128;
+const TOUCH_STICK_RADIUS = 160;
+const TOUCH_STICK_KNOB_RADIUS = 70;
+const TOUCH_STICK_DEADZONE = 0.15;
+const TOUCH_STICK_COLOR = Color.hex("#ffffff").withAlpha(0.15);
+const TOUCH_STICK_KNOB_COLOR = Color.hex("#ffffff").withAlpha(0.4);
+const GAMEPAD_MOVE_AXES = [0, 1];
+const GAMEPAD_AIM_AXES = [2, 3];
+const GAMEPAD_DEADZONE = 0.2;
+const GAMEPAD_BUTTON_THRESHOLD = 0.5;
+const GAMEPAD_AXIS_PRECISION = 100;
+const SIMULATION_MAX_FRAME_TIME = 0.25;
+const LOCAL_STORAGE_VOLUME = "volume";
+const AUDIO_DEFAULT_VOLUME = {master: 0.8, music: 0.5, sfx: 0.8, ui: 0.8};
+// Seconds it takes the mute to fade in and out
+const AUDIO_FADE_TIME = 0.05;
+const AUDIO_ATTACK_TIME = 0.005;
+// exponentialRampToValueAtTime() can not reach 0
+const AUDIO_SILENCE = 0.001;
+const AUDIO_NOISE_DURATION = 1.0;
+const AUDIO_SOUND_MIN_INTERVAL = 0.03;
+// Shots are up to this much higher or lower so rapid fire is less monotonous
+const AUDIO_SHOOT_DETUNE = 0.1;
+const MUSIC_TEMPO = 128;
+const MUSIC_SCHEDULE_AHEAD = 0.1;
+// A minor, F, C and G, a bar each. third is 3 for minor chords.
+const MUSIC_PROGRESSION = [
+    {root: 57, third: 3},
+    {root: 53, third: 4},
+    {root: 48, third: 4},
+    {root: 55, third: 4},
+];
+// A layer fades in over MUSIC_LAYER_FADE_RANGE of intensity past its threshold
+const MUSIC_LAYER_FADE_RANGE = 0.2;
+const MUSIC_LAYERS = {
+    // Always there
+    Pad: {threshold: -MUSIC_LAYER_FADE_RANGE, volume: 0.3},
+    Bass: {threshold: 0.1, volume: 0.4},
+    Drums: {threshold: 0.3, volume: 0.6},
+    Arp: {threshold: 0.6, volume: 0.25},
+};
+const MUSIC_LAYER_FADE_TIME = 1.0;
+const MUSIC_LAYER_LEVEL_STEP = 0.01;
+// Bit of each MouseEvent.button in MouseEvent.buttons
+const MOUSE_BUTTON_MASKS = [1, 4, 2];
 
-    render() {
-        this.renderer.clear();
+// Resolution at which the game scale will be 1 unit per pixel
 
-        this.renderer.background();
-        this.player.render(this.renderer);
 
-        this.renderEntities(this.bullets);
-        this.renderEntities(this.particles);
-        this.renderEntities(this.enemies);
+let game = null;
 
-        if (this.paused) {
-            this.renderer.fillMessage("PAUSED (SPACE to resume)", MESSAGE_COLOR);
-        } else if(this.player.health <= 0.0) {
-            const accuracy = Math.ceil(100 * this.player.accuracy / Math.max(this.player.shootCount, 1.0));
-            this.renderer.fillMessage(`YOUR SCORE: ${this.score}\nACCURACY: ${accuracy}%\n(SPACE to restart)`, MESSAGE_COLOR);
-        } else {
-            this.tutorial.render(this.renderer);
+(() => {
+    const params = new URLSearchParams(document.location.search);
+    const webgl = params.has("webgl");
+    // Random keeps the seed as a 32 bit integer, where anything that is not a
+    // number would end up as the same seed 0
+    const seed = (() => {
+        if (!params.has("seed")) {
+            return Date.now();
+        }
+        const seed = params.get("seed");
+        if (!/^-?\d+$/.test(seed)) {
+            console.warn(`Seed ${seed} is not a whole number. Using a random one instead`);
+            return Date.now();
+        }
+        return Number(seed);
+    })();
+    const REPLAY_SAVE_KEY = "F9";
+    const REPLAY_EXIT_KEY = "Escape";
+    const BACKGROUND_CYCLE_KEY = "F8";
+    const BINDING_PRESET_CYCLE_KEY = "F7";
+    const REBIND_KEY = "F6";
+
+    let canvas = document.getElementById("game-canvas");
+    // WebGL2 first, then WebGL1 and Renderer2D if nothing else works. ?webgl=1
+    // skips WebGL2.
+    const renderer = (() => {
+        if (webgl) {
+            const versions = params.get("webgl") == "1" ? [1] : [2, 1];
+            for (let version of versions) {
+                try {
+                    return new RendererWebGL(WebGLBackend.create(canvas, version));
+                } catch (error) {
+                    console.warn(`Could not use WebGL${version == 2 ? "2" : ""}: ${error.message}`);
+                    // A canvas can have only one kind of context for its whole life
+                    const fresh = canvas.cloneNode();
+                    canvas.replaceWith(fresh);
+                    canvas = fresh;
+                }
+            }
         }
+        return new Renderer2D(canvas.getContext("2d"));
+    })();
 
-        this.renderer.present();
-    }
+    let windowWasResized = true;
 
-    spawnEnemy() {
-        let dir = randomAngle();
-        this.enemies.push(new Enemy(this.player.pos.add(V2.polar(ENEMY_SPAWN_DISTANCE, dir))));
+    // ?background=Starfield overrides whatever was picked with BACKGROUND_CYCLE_KEY last time
+    const backgroundStyles = Object.keys(BackgroundStyle);
+    let backgroundStyle = params.get("background") ?? window.localStorage.getItem(LOCAL_STORAGE_BACKGROUND);
+    if (!(backgroundStyle in BackgroundStyle)) {
+        backgroundStyle = backgroundStyles[0];
     }
+    renderer.setBackgroundStyle(BackgroundStyle[backgroundStyle]);
 
-    togglePause() {
-        this.paused = !this.paused;
+    function cycleBackground() {
+        backgroundStyle = backgroundStyles[(backgroundStyles.indexOf(backgroundStyle) + 1) % backgroundStyles.length];
+        renderer.setBackgroundStyle(BackgroundStyle[backgroundStyle]);
+        window.localStorage.setItem(LOCAL_STORAGE_BACKGROUND, backgroundStyle);
     }
 
-    keyDown(event) {
-        if (this.player.health <= 0.0 && event.code == 'Space') {
-            this.restart();
-            return;
+    // ?post=Bloom,Vignette picks the post effects of RendererWebGL and their
+    // order, ?post= turns them all off
+    if (params.has("post") && renderer instanceof RendererWebGL) {
+        const names = params.get("post").split(",").filter(name => name.length > 0);
+        for (let name of names) {
+            if (!(name in PostEffect)) {
+                console.warn(`Unknown post effect ${name}. Expected one of ${Object.keys(PostEffect).join(", ")}`);
+            }
         }
+        renderer.setPostEffects(names.filter(name => name in PostEffect).map(name => PostEffect[name]));
+    }
 
-        if (event.code == 'Space') {
-            this.togglePause();
-        }
+    const audio = new AudioEngineWebAudio(window.localStorage);
 
-        this.pressedKeys.add(event.code);
+    // Shown while the game is paused
+    const volumePanel = document.getElementById("volume-panel");
+    for (let slider of volumePanel.querySelectorAll("input")) {
+        slider.value = audio.volume[slider.dataset.channel];
+        slider.addEventListener('input', event => {
+            audio.setVolume(slider.dataset.channel, Number(slider.value));
+        });
     }
-
-    keyUp(event) {
-        this.pressedKeys.delete(event.code);
+    // Dragging a slider is not shooting
+    for (let type of ['pointerdown', 'pointerup', 'pointermove']) {
+        volumePanel.addEventListener(type, event => event.stopPropagation());
     }
 
-    mouseMove(event) {
-    }
+    let recorder = null;
+    let replay = null;
+    // What startGame() was last given, to go back to after a replay
+    let gameWaves = WAVES;
 
-    mouseDown(event) {
-        if (this.paused) {
-            return;
-        }
+    function startGame(waves) {
+        gameWaves = waves;
+        game = new Game(renderer, seed, window.localStorage, waves);
+        game.audio = audio;
 
-        if (this.player.health <= 0.0) {
-            return;
+        // https://drafts.csswg.org/mediaqueries-4/#mf-interaction
+        // https://patrickhlauke.github.io/touch/pointer-hover-any-pointer-any-hover/
+        if (window.matchMedia("(pointer: coarse)").matches) {
+            game.useTouchHints();
         }
 
-        this.tutorial.playerShot();
-        const mousePos = new V2(event.offsetX, event.offsetY);
-        this.bullets.push(this.player.shootAt(this.renderer.screenToWorld(mousePos)));
+        recorder = new ReplayRecorder(seed, game.tutorial.state, waves, game.bindings);
     }
-}
 
-// Resolution at which the game scale will be 1 unit per pixel
-
-
-let game = null;
-
-(() => {
-    const webgl = new URLSearchParams(document.location.search).has("webgl");
-
-    const canvas = document.getElementById("game-canvas");
-    const renderer = (() => {
-        if (webgl) {
-            const gl = canvas.getContext("webgl");
-            if (!gl) {
-                throw new Error(`Unable to initilize WebGL. Your browser probably does not support that.`);
-            }
+    startGame(WAVES);
 
-            const ext = gl.getExtension('ANGLE_instanced_arrays');
-            if (!ext) {
-                throw new Error(`Unable to initialize Instanced Arrays extension for WebGL. Your browser probably does not support that.`);
-            }
+    // ?waves=<url> starts over with the wave definitions of that JSON file
+    // once it is loaded
+    if (params.has("waves")) {
+        const url = params.get("waves");
+        fetch(url)
+            .then(response => response.json())
+            .then(waves => {
+                WaveDirector.validate(waves);
+                if (replay === null) {
+                    startGame(waves);
+                }
+            })
+            .catch(error => console.error(`Could not load the waves from ${url}: ${error.message}`));
+    }
 
-            return new RendererWebGL(gl, ext);
-        } else {
-            return new Renderer2D(canvas.getContext("2d"));
+    function input(type, ...args) {
+        // Whatever the user does while watching a replay must not leak into it
+        if (replay !== null) {
+            return;
         }
-    })();
+        recorder.record(game.frame, type, args);
+        applyInput(game, type, args);
+    }
 
-    let windowWasResized = true;
+    const touchControls = new TouchControls(renderer, input);
+    const gamepadControls = new GamepadControls(input);
+
+    function saveReplay() {
+        const blob = new Blob([recorder.serialize(game.frame)], {type: "application/json"});
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `zzzwe-${seed}.replay.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
 
-    game = new Game(renderer);
+    function startReplay(player) {
+        replay = player;
+        game = replay.createGame(renderer);
+        game.audio = audio;
+        accumulator = 0.0;
+    }
 
-    // https://drafts.csswg.org/mediaqueries-4/#mf-interaction
-    // https://patrickhlauke.github.io/touch/pointer-hover-any-pointer-any-hover/
-    if (window.matchMedia("(pointer: coarse)").matches) {
-        game.tutorial.playerMoved();
+    // Back to a fresh game of your own
+    function stopReplay() {
+        replay = null;
+        startGame(gameWaves);
     }
 
     let start;
+    let accumulator = 0.0;
     function step(timestamp) {
         if (start === undefined) {
             start = timestamp;
         }
-        const dt = (timestamp - start) * 0.001;
+        const dt = Math.min((timestamp - start) * 0.001, SIMULATION_MAX_FRAME_TIME);
         start = timestamp;
 
         game.renderer.setTimestamp(timestamp * 0.001);
@@ -1189,40 +2294,157 @@ let game = null;
             windowWasResized = false;
         }
 
-        game.update(dt);
-        game.render();
+        // The simulation always advances in SIMULATION_STEP increments no
+        // matter the display refresh rate, so a run only depends on its seed
+        // and inputs.
+        accumulator += dt;
+        gamepadControls.poll();
+        while (accumulator >= SIMULATION_STEP) {
+            replay?.dispatch(game);
+            game.update(SIMULATION_STEP);
+            accumulator -= SIMULATION_STEP;
+            if (replay?.finished(game)) {
+                stopReplay();
+            }
+        }
+        game.render(accumulator / SIMULATION_STEP, touchControls);
+        // The crosshair stands in for the cursor while playing
+        canvas.style.cursor = game.crosshairVisible() ? "none" : "";
+
+        volumePanel.hidden = !game.paused || game.rebinding !== null;
+        audio.setMuted(game.paused || !document.hasFocus());
+        audio.update();
 
         window.requestAnimationFrame(step);
     }
 
     window.requestAnimationFrame(step);
 
-    // TODO(#30): game is not playable on mobile without external keyboard
-
     document.addEventListener('keydown', event => {
-        game.keyDown(event);
+        audio.resume();
+        if (event.code == REPLAY_SAVE_KEY) {
+            event.preventDefault();
+            saveReplay();
+            return;
+        }
+        if (event.code == BACKGROUND_CYCLE_KEY) {
+            event.preventDefault();
+            cycleBackground();
+            return;
+        }
+        // Custom bindings cycle to the first preset
+        if (event.code == BINDING_PRESET_CYCLE_KEY) {
+            event.preventDefault();
+            const presets = Object.keys(BINDING_PRESETS);
+            input(InputType.BindingPreset, presets[(presets.indexOf(game.bindings.preset) + 1) % presets.length]);
+            return;
+        }
+        if (event.code == REBIND_KEY) {
+            event.preventDefault();
+            input(InputType.Rebind);
+            return;
+        }
+        if (replay !== null && event.code == REPLAY_EXIT_KEY) {
+            stopReplay();
+            return;
+        }
+        // Game ignores them anyway, they would only bloat the replay
+        if (event.repeat) {
+            return;
+        }
+        input(InputType.KeyDown, event.code);
     });
 
     document.addEventListener('keyup', event => {
-        game.keyUp(event);
+        input(InputType.KeyUp, event.code);
     });
 
+    // Fingers go to touchControls, everything else acts as the mouse
     document.addEventListener('pointermove', event => {
-        game.mouseMove(event);
+        if (event.pointerType == "touch") {
+            touchControls.pointerMove(event);
+            return;
+        }
+        const pos = renderer.screenToWorld(new V2(event.offsetX, event.offsetY));
+        input(InputType.MouseMove, pos.x, pos.y);
+        // Another button going down or up while one is already held comes
+        // as a move, https://w3c.github.io/pointerevents/#chorded-button-interactions
+        if (event.button >= 0) {
+            const down = (event.buttons & (MOUSE_BUTTON_MASKS[event.button] ?? 1 << event.button)) != 0;
+            input(down ? InputType.MouseDown : InputType.MouseUp, pos.x, pos.y, event.button);
+        }
     });
 
     document.addEventListener('pointerdown', event => {
-        game.mouseDown(event);
+        audio.resume();
+        if (event.pointerType == "touch") {
+            if (!game.touchHints) {
+                game.useTouchHints();
+            }
+            // A tap unpauses, or restarts from the score message
+            if (game.paused || game.player.health <= 0.0) {
+                const action = game.paused ? Action.Pause : Action.Restart;
+                input(InputType.ActionDown, action);
+                input(InputType.ActionUp, action);
+                return;
+            }
+            touchControls.pointerDown(event);
+            return;
+        }
+        const pos = renderer.screenToWorld(new V2(event.offsetX, event.offsetY));
+        input(InputType.MouseDown, pos.x, pos.y, event.button);
+    });
+
+    document.addEventListener('pointerup', event => {
+        if (event.pointerType == "touch") {
+            touchControls.pointerUp(event);
+            return;
+        }
+        const pos = renderer.screenToWorld(new V2(event.offsetX, event.offsetY));
+        input(InputType.MouseUp, pos.x, pos.y, event.button);
+    });
+
+    document.addEventListener('pointercancel', event => {
+        if (event.pointerType == "touch") {
+            touchControls.pointerUp(event);
+        }
+    });
+
+    // Right clicks are for the bindings, Dash by default
+    document.addEventListener('contextmenu', event => {
+        event.preventDefault();
+    });
+
+    // Drop a saved replay onto the page to watch it
+    document.addEventListener('dragover', event => {
+        event.preventDefault();
+    });
+
+    document.addEventListener('drop', event => {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (file) {
+            file.text()
+                .then(text => startReplay(ReplayPlayer.parse(text)))
+                .catch(error => console.error(`Could not load replay ${file.name}: ${error.message}`));
+        }
     });
 
     window.addEventListener('resize', event => {
         windowWasResized = true;
     });
 
+    window.addEventListener('gamepadconnected', event => {
+        gamepadControls.connect(event.gamepad);
+    });
+
+    window.addEventListener('gamepaddisconnected', event => {
+        gamepadControls.disconnect(event.gamepad);
+    });
+
     window.addEventListener('blur', event => {
-        if (game.player.health > 0.0) {
-            game.paused = true;
-        }
+        input(InputType.Blur);
+        gamepadControls.reset();
     });
 
     window.addEventListener('focus', event => {
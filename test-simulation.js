@@ -0,0 +1,220 @@
+// Headless checks of the simulation. Prints every check and exits with 1 if
+// any of them failed.
+//
+//     $ node test-simulation.js
+const assert = require("node:assert");
+const {
+    Simulation,
+    InputType,
+    Action,
+    TutorialState,
+    ReplayRecorder,
+    ReplayPlayer,
+    Game,
+    MemoryStorage,
+    NullRenderer,
+    Bindings,
+    RecordingRenderer,
+    RecordingAudioEngine,
+    Sound,
+    WaveDirector,
+    WAVES,
+    Random,
+    V2,
+    SpatialHash,
+    COLLISION_CELL_SIZE,
+    SIMULATION_STEP,
+} = require("./game.js");
+
+const tests = [];
+
+function test(name, f) {
+    tests.push({name, f});
+}
+
+// Walks right for a bit and clicks at the first enemy every few frames, like
+// a not very good player would
+function scriptedInputs(game) {
+    const inputs = [];
+    if (game.frame == 30) {
+        inputs.push([InputType.KeyDown, "KeyD"]);
+    }
+    if (game.frame == 200) {
+        inputs.push([InputType.KeyUp, "KeyD"]);
+    }
+    const enemy = game.enemies[0];
+    if (game.frame % 10 == 0) {
+        const target = enemy?.pos ?? game.player.pos.add({x: 100, y: 0});
+        inputs.push([InputType.MouseDown, target.x, target.y, 0], [InputType.MouseUp, target.x, target.y, 0]);
+    }
+    return inputs;
+}
+
+// Runs the script on a first visit, with nothing in storage yet, recording
+// it like index.js does
+function recordRun(frames) {
+    const sim = new Simulation({seed: 42});
+    sim.game = new Game(new NullRenderer(), 42, new MemoryStorage());
+    const recorder = new ReplayRecorder(42, sim.game.tutorial.state, undefined, sim.game.bindings);
+    for (let i = 0; i < frames; ++i) {
+        const inputs = scriptedInputs(sim.game);
+        for (let [type, ...args] of inputs) {
+            recorder.record(sim.frame, type, args);
+        }
+        sim.step(inputs);
+    }
+    return {sim, replay: recorder.serialize(sim.frame)};
+}
+
+test("a first run gets through the tutorial to the waves", () => {
+    const {sim} = recordRun(1500);
+    const snapshot = sim.snapshot();
+    assert.strictEqual(snapshot.tutorial, TutorialState.Finished);
+    assert.ok(snapshot.wave > 0, `still on wave ${snapshot.wave}`);
+    assert.ok(snapshot.score > 0, "nothing was killed");
+});
+
+test("Simulation can start at the beginning of the tutorial", () => {
+    const sim = new Simulation({seed: 7, tutorial: TutorialState.LearningMovement});
+    for (let i = 0; i < 600; ++i) {
+        sim.step(scriptedInputs(sim.game));
+    }
+    assert.strictEqual(sim.snapshot().tutorial, TutorialState.Finished);
+});
+
+test("the score only goes up and the waves keep coming", () => {
+    const sim = new Simulation({seed: 7});
+    let score = 0;
+    let wave = 0;
+    for (let i = 0; i < 3000; ++i) {
+        sim.step(scriptedInputs(sim.game));
+        const snapshot = sim.snapshot();
+        assert.ok(snapshot.score >= score, `score went from ${score} down to ${snapshot.score}`);
+        assert.ok(snapshot.wave >= wave, `wave went from ${wave} back to ${snapshot.wave}`);
+        score = snapshot.score;
+        wave = snapshot.wave;
+    }
+    assert.ok(score > 0, "nothing was killed");
+    assert.ok(wave >= 2, `only got to wave ${wave}`);
+});
+
+test("a replay ends where the recorded run did", () => {
+    const {sim, replay} = recordRun(1500);
+    const player = ReplayPlayer.parse(replay);
+    const replayed = new Simulation();
+    replayed.game = player.createGame(new NullRenderer());
+    while (!player.finished(replayed.game)) {
+        player.dispatch(replayed.game);
+        replayed.game.update(SIMULATION_STEP);
+    }
+    assert.deepStrictEqual(replayed.snapshot(), sim.snapshot());
+});
+
+test("the first frame of the tutorial asks to move", () => {
+    const renderer = new RecordingRenderer();
+    new Simulation({seed: 42, tutorial: TutorialState.LearningMovement, renderer}).render();
+    assert.deepStrictEqual(renderer.messages(), ["WASD to move"]);
+    // The player, still spawning in, and the ring and dot of the crosshair
+    assert.strictEqual(renderer.circles().length, 3);
+    assert.strictEqual(renderer.displayList.at(-1).op, "present");
+});
+
+test("every enemy is drawn where it is", () => {
+    const renderer = new RecordingRenderer();
+    const sim = new Simulation({seed: 42, renderer}).run(300).render();
+    assert.strictEqual(sim.game.enemies.length, 3);
+    for (let enemy of sim.game.enemies) {
+        const drawn = renderer.circles().some(call => call.center.x == enemy.pos.x && call.center.y == enemy.pos.y && call.radius == enemy.radius);
+        assert.ok(drawn, `no circle for the enemy at ${enemy.pos.x}, ${enemy.pos.y}`);
+    }
+});
+
+test("shooting and pausing are heard", () => {
+    const sim = new Simulation({seed: 42}).run(300);
+    const audio = sim.game.audio = new RecordingAudioEngine();
+    sim.step([[InputType.MouseDown, 500, 0, 0], [InputType.MouseUp, 500, 0, 0]]);
+    sim.step([[InputType.KeyDown, "Space"], [InputType.KeyUp, "Space"]]);
+    sim.step([[InputType.KeyDown, "Space"], [InputType.KeyUp, "Space"]]);
+    assert.deepStrictEqual(audio.played, [Sound.Shoot, Sound.Pause, Sound.Unpause]);
+    assert.ok(audio.intensity > 0.0, "the music does not notice the enemies");
+});
+
+test("wave definitions that would break a run are rejected up front", () => {
+    const broken = [
+        waves => waves.repeatFrom = 1.5,
+        waves => delete waves.countGrowth,
+        waves => waves.waves[0].pause = undefined,
+        waves => waves.waves[0].groups[0].interval = "2",
+        waves => waves.waves[0].groups[0].formation = "toString",
+        waves => waves.bosses[0].enemy = "constructor",
+        waves => delete waves.bosses[0].score,
+    ];
+    for (let breakWaves of broken) {
+        const waves = structuredClone(WAVES);
+        breakWaves(waves);
+        assert.throws(() => new WaveDirector(waves), Error, breakWaves.toString());
+    }
+    new WaveDirector(WAVES);
+});
+
+test("saved bindings with unknown actions or codes fall back to the default preset", () => {
+    const saved = new Bindings(new MemoryStorage()).bindings;
+    const broken = [
+        bindings => delete bindings.labels,
+        bindings => bindings.keyboard.constructor = ["KeyX"],
+        bindings => bindings.keyboard.MoveUp = [87],
+        bindings => bindings.mouse.Fire = ["0"],
+    ];
+    for (let breakBindings of broken) {
+        const bindings = structuredClone(saved);
+        bindings.keyboard.MoveUp = ["KeyI"];
+        breakBindings(bindings);
+        const storage = new MemoryStorage();
+        storage.setItem("bindings", JSON.stringify(bindings));
+        assert.deepStrictEqual(new Bindings(storage).codes("keyboard", Action.MoveUp), ["KeyW"], breakBindings.toString());
+    }
+});
+
+test("the spatial hash finds every pair the brute force check does", () => {
+    const random = new Random(5);
+    const cell = COLLISION_CELL_SIZE;
+    const items = [];
+    for (let i = 0; i < 500; ++i) {
+        items.push({pos: new V2(random.between(-5 * cell, 5 * cell), random.between(-5 * cell, 5 * cell))});
+    }
+    // Right on the cell borders and a hair to either side of them
+    for (let i = -3; i <= 3; ++i) {
+        for (let offset of [-1e-9, 0, 1e-9]) {
+            items.push({pos: new V2(i * cell + offset, random.between(-5 * cell, 5 * cell))});
+            items.push({pos: new V2(random.between(-5 * cell, 5 * cell), i * cell + offset)});
+            items.push({pos: new V2(i * cell + offset, i * cell + offset)});
+        }
+    }
+
+    const hash = new SpatialHash(cell);
+    for (let item of items) {
+        hash.insert(item);
+    }
+    const candidates = [];
+    for (let range of [cell * 0.1, cell * 0.5, cell, cell * 2.5]) {
+        for (let item of items) {
+            const found = hash.query(item.pos, range, candidates)
+                .filter(other => other.pos.dist(item.pos) <= range);
+            const expected = items.filter(other => other.pos.dist(item.pos) <= range);
+            assert.strictEqual(new Set(found).size, found.length, "an item was found twice");
+            assert.deepStrictEqual(new Set(found), new Set(expected), `around ${item.pos.x}, ${item.pos.y} within ${range}`);
+        }
+    }
+});
+
+let failed = 0;
+for (let {name, f} of tests) {
+    try {
+        f();
+        console.log(`ok   ${name}`);
+    } catch (error) {
+        failed += 1;
+        console.log(`FAIL ${name}\n${error.stack}`);
+    }
+}
+process.exitCode = failed > 0 ? 1 : 0;